@@ -4,7 +4,18 @@ const cors = require('cors');
 const fs = require("fs").promises;
 const path = require("path");
 const msixvcRoutes = require("./routes/msixvc");
+const keyRoutes = require("./routes/keys");
+const watchRoutes = require("./routes/watches");
+const cacheRoutes = require("./routes/cache");
 const authMiddleware = require("./middleware/authMiddleware");
+const tokenService = require("./auth/tokenService");
+const refreshScheduler = require("./auth/refreshScheduler");
+const database = require("./services/database");
+const migrations = require("./services/migrations");
+const cacheService = require("./services/cacheService");
+const downloadJobService = require("./services/downloadJobService");
+const watchPoller = require("./services/watchPoller");
+const cacheRetention = require("./services/cacheRetention");
 const CONFIG = require("./config");
 
 const app = express();
@@ -50,9 +61,15 @@ if (CONFIG.corsWhitelist) {
 if (!CONFIG.debugMode)
   app.disable('x-powered-by');
 
+if (CONFIG.trustProxy)
+  app.set('trust proxy', true);
+
 // Apply authentication middleware
 app.use(authMiddleware.createAuthMiddleware());
 
+app.use("/msixvc/keys", keyRoutes);
+app.use("/msixvc/watches", watchRoutes);
+app.use("/msixvc/cache", cacheRoutes);
 app.use("/msixvc", msixvcRoutes);
 
 app.get("/", async (req, res) => {
@@ -64,7 +81,19 @@ app.get("/", async (req, res) => {
     endpoints: {
       login: "/msixvc/login",
       callback: "/msixvc/callback",
-      download: "/msixvc/:identifier (supports both contentId and productId)"
+      deviceLogin: "POST /msixvc/login/device",
+      deviceLoginStatus: "/msixvc/login/device/:sessionId",
+      accounts: "/msixvc/accounts",
+      health: "/msixvc/health",
+      feed: "/msixvc/feed",
+      keys: "/msixvc/keys",
+      search: "/msixvc/search?q=",
+      download: "/msixvc/:identifier (supports both contentId and productId)",
+      batch: "POST /msixvc/batch",
+      file: "/msixvc/:identifier/files/:fileName",
+      jobs: "/msixvc/jobs",
+      watches: "/msixvc/watches",
+      cache: "/msixvc/cache"
     }
   });
 });
@@ -78,11 +107,39 @@ app.use((req, res) => {
   res.status(404).json({ error: "Endpoint not found" });
 });
 
-if (require.main === module) {
+/**
+ * Load the token store, migrate the database and wait for the cache, then start listening
+ */
+async function start() {
+  try {
+    tokenService.initTokenStore();
+  } catch (error) {
+    console.error('Failed to load token store:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    await database.ready;
+    await migrations.ready();
+    await cacheService.init();
+  } catch (error) {
+    console.error('Failed to open the cache:', error.message);
+    process.exit(1);
+  }
+
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
     console.log(`Login at: http://localhost:${PORT}/msixvc/login`);
+
+    if (CONFIG.tokenRefreshScheduler) refreshScheduler.start();
+    if (CONFIG.watchPoller) watchPoller.start();
+    cacheRetention.start();
+    downloadJobService.start().catch(err => console.error('Failed to start download jobs:', err));
   });
 }
 
+if (require.main === module) {
+  start();
+}
+
 module.exports = app;
@@ -0,0 +1,187 @@
+const authService = require("./authService");
+const tokenService = require("./tokenService");
+const CONFIG = require("../config");
+
+// In-memory health state per account, reset on restart
+const accountHealth = new Map();
+// In-flight token refreshes per account, shared by concurrent callers
+const inFlightRefreshes = new Map();
+let rotationIndex = 0;
+
+/**
+ * Get (or create) the health entry for an account
+ * @param {string} account - Account slot name
+ * @returns {Object} Mutable health entry
+ */
+function getHealth(account) {
+  if (!accountHealth.has(account)) {
+    accountHealth.set(account, {
+      status: "unknown",
+      lastError: null,
+      lastFailureAt: null,
+      lastUsedAt: null,
+    });
+  }
+  return accountHealth.get(account);
+}
+
+/**
+ * Record a successful use of an account
+ * @param {string} account - Account slot name
+ */
+function markHealthy(account) {
+  const health = getHealth(account);
+  health.status = "healthy";
+  health.lastError = null;
+  health.lastUsedAt = Date.now();
+}
+
+/**
+ * Record a failed refresh or XSTS step for an account
+ * @param {string} account - Account slot name
+ * @param {Error} error - The failure
+ */
+function markFailed(account, error) {
+  const health = getHealth(account);
+  health.status = "failing";
+  health.lastError = error.message;
+  health.lastFailureAt = Date.now();
+}
+
+/**
+ * Check if an account failed recently and should be skipped
+ * @param {string} account - Account slot name
+ * @returns {boolean} True if the account is still cooling down after a failure
+ */
+function isCoolingDown(account) {
+  const health = getHealth(account);
+  return health.status === "failing" &&
+    Date.now() - health.lastFailureAt < CONFIG.accountFailureCooldown;
+}
+
+/**
+ * Make sure an account has a valid access token and XSTS token, refreshing either when needed.
+ * Concurrent calls for the same account share one in-flight refresh, so the refresh token is only redeemed once.
+ * A caller that joined a refresh started with a shorter lead time refreshes again if the result doesn't cover its own.
+ * @param {string} account - Account slot name
+ * @param {number} [leadTime] - Milliseconds before expiry to already renew tokens (defaults to renewing only expired tokens)
+ * @returns {Promise<{tokens: Object, xsts: Object, accessTokenRefreshed: boolean, xstsRefreshed: boolean}>}
+ * @throws {Error} If the access token refresh or Xbox Live authentication fails
+ */
+async function ensureAccountTokens(account, leadTime) {
+  if (inFlightRefreshes.has(account)) {
+    const result = await inFlightRefreshes.get(account);
+    if (coversLeadTime(result, leadTime)) return result;
+    return ensureAccountTokens(account, leadTime);
+  }
+
+  const refresh = refreshAccountTokens(account, leadTime)
+    .finally(() => inFlightRefreshes.delete(account));
+  inFlightRefreshes.set(account, refresh);
+  return refresh;
+}
+
+/**
+ * Check if refreshed tokens stay valid for a lead time, using the same expiry rules as refreshAccountTokens
+ * @param {Object} result - Result of a token refresh
+ * @param {number} [leadTime] - Milliseconds before expiry to already renew tokens
+ * @returns {boolean} True if neither the access token nor the XSTS token needs renewing
+ */
+function coversLeadTime(result, leadTime) {
+  return !tokenService.needsTokenRefresh(result.tokens, leadTime) &&
+    !tokenService.needsXboxTokenRefresh(result.xsts, leadTime);
+}
+
+/**
+ * Refresh an account's access token and XSTS token when needed (use ensureAccountTokens instead)
+ * @param {string} account - Account slot name
+ * @param {number} [leadTime] - Milliseconds before expiry to already renew tokens
+ * @returns {Promise<Object>} Same as ensureAccountTokens
+ */
+async function refreshAccountTokens(account, leadTime) {
+  const tokens = await tokenService.refreshTokensIfNeeded(account, leadTime);
+  if (!tokens) {
+    throw new Error("Not authenticated or token refresh failed");
+  }
+
+  const { refreshed, ...storedTokens } = tokens;
+  let xstsRefreshed = false;
+
+  if (!storedTokens.xsts || tokenService.needsXboxTokenRefresh(storedTokens.xsts, leadTime)) {
+    console.log(`Xbox Live tokens expired for account ${account}, re-authenticating...`);
+    try {
+      const authResult = await authService.authenticateXboxLive(storedTokens.access_token);
+      storedTokens.userToken = authResult.userToken;
+      storedTokens.xsts = authResult.xsts;
+      xstsRefreshed = true;
+      tokenService.saveTokens(storedTokens, account);
+    } catch (authError) {
+      throw new Error("Xbox Live authentication failed: " + authError.message);
+    }
+  }
+
+  return {
+    tokens: storedTokens,
+    xsts: storedTokens.xsts,
+    accessTokenRefreshed: refreshed === true,
+    xstsRefreshed,
+  };
+}
+
+/**
+ * Pick a healthy account in round-robin order, skipping accounts whose refresh or XSTS step fails.
+ * Accounts that failed recently are only tried once every other account has failed too.
+ * @returns {Promise<Object|null>} Account name plus its tokens, or null if no account is usable
+ */
+async function acquireAccount() {
+  const accounts = tokenService.listAccounts();
+  if (accounts.length === 0) return null;
+
+  const start = rotationIndex % accounts.length;
+  rotationIndex = start + 1;
+  const rotated = [...accounts.slice(start), ...accounts.slice(0, start)];
+  const candidates = [
+    ...rotated.filter(account => !isCoolingDown(account)),
+    ...rotated.filter(account => isCoolingDown(account)),
+  ];
+
+  for (const account of candidates) {
+    try {
+      const result = await ensureAccountTokens(account);
+      markHealthy(account);
+      return { account, ...result };
+    } catch (error) {
+      console.error(`Account ${account} is unusable, trying next account:`, error.message);
+      markFailed(account, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe every stored account with its health and token expiry times
+ * @returns {Array<Object>} Account status entries
+ */
+function getAccountsStatus() {
+  return tokenService.listAccounts().map(account => {
+    const tokens = tokenService.loadTokens(account) || {};
+    const health = getHealth(account);
+    return {
+      account,
+      status: health.status,
+      hasRefreshToken: !!tokens.refresh_token,
+      accessTokenExpiresAt: tokens.expires_at ? new Date(tokens.expires_at).toISOString() : null,
+      xstsExpiresAt: tokens.xsts?.NotAfter || null,
+      lastUsedAt: health.lastUsedAt ? new Date(health.lastUsedAt).toISOString() : null,
+      lastFailureAt: health.lastFailureAt ? new Date(health.lastFailureAt).toISOString() : null,
+      lastError: health.lastError,
+    };
+  });
+}
+
+module.exports = {
+  ensureAccountTokens,
+  acquireAccount,
+  getAccountsStatus,
+};
@@ -4,14 +4,16 @@ const CONFIG = require("../config");
 /**
  * Generate Microsoft login URL for OAuth
  * @param {string} responseType - Response type: "token" or "code"
+ * @param {string} [state] - Opaque value echoed back in the redirect URL (used for the account name)
  * @returns {string} Microsoft login URL
  */
-function getMicrosoftLoginUrl(responseType = "code") {
+function getMicrosoftLoginUrl(responseType = "code", state) {
   const query = querystring.stringify({
     client_id: CONFIG.xboxLiveClientId,
     response_type: responseType,
     redirect_uri: CONFIG.redirectUri,
     scope: CONFIG.authorizeScope,
+    ...(state && { state }),
   });
   return `${CONFIG.microsoftLoginUrl}?${query}`;
 }
@@ -39,6 +41,55 @@ async function exchangeCodeForTokens(code) {
   return response.json();
 }
 
+/**
+ * Request a device code for the device-code login flow
+ * @returns {Promise<Object>} Device code data (device_code, user_code, verification_uri, interval, expires_in)
+ */
+async function requestDeviceCode() {
+  const body = querystring.stringify({
+    client_id: CONFIG.xboxLiveClientId,
+    scope: CONFIG.authorizeScope,
+    response_type: "device_code",
+  });
+
+  const response = await fetch(CONFIG.microsoftDeviceCodeUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+
+  if (!response.ok) throw new Error("Failed to request device code");
+  return response.json();
+}
+
+/**
+ * Poll the token endpoint once for a device code
+ * @param {string} deviceCode - Device code from requestDeviceCode
+ * @returns {Promise<{tokens?: Object, pending?: boolean, slowDown?: boolean}>} Token data once the user has signed in, otherwise pending state
+ * @throws {Error} If the device code expired, was declined or the request failed
+ */
+async function pollDeviceCodeToken(deviceCode) {
+  const body = querystring.stringify({
+    client_id: CONFIG.xboxLiveClientId,
+    device_code: deviceCode,
+    grant_type: "urn:ietf:params:oauth:grant-type:device_code",
+  });
+
+  const response = await fetch(CONFIG.microsoftTokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+
+  if (response.ok) return { tokens: await response.json() };
+
+  const data = await response.json().catch(() => ({}));
+  if (data.error === "authorization_pending") return { pending: true };
+  if (data.error === "slow_down") return { pending: true, slowDown: true };
+
+  throw new Error(`Device code login failed (${data.error || response.status})`);
+}
+
 /**
  * XASU Authentication (user.auth.xboxlive.com)
  * @param {string} accessToken - Microsoft access token
@@ -131,6 +182,8 @@ async function authenticateXboxLive(accessToken) {
 module.exports = {
   getMicrosoftLoginUrl,
   exchangeCodeForTokens,
+  requestDeviceCode,
+  pollDeviceCodeToken,
   refreshAccessToken,
   authenticateXASU,
   authenticateXSTS,
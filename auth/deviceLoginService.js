@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const authService = require("./authService");
+const tokenService = require("./tokenService");
+
+// Device login sessions live in memory only, a restart means starting a new login
+const sessions = new Map();
+const SESSION_RETENTION = 60 * 60 * 1000; // keep finished sessions around for 1 hour
+
+/**
+ * Drop finished sessions older than the retention window
+ */
+function pruneSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.finishedAt && now - session.finishedAt > SESSION_RETENTION) {
+      sessions.delete(id);
+    }
+  }
+}
+
+/**
+ * Mark a session as finished
+ * @param {Object} session - Device login session
+ * @param {string} status - Final status: "completed", "failed" or "expired"
+ * @param {string} [error] - Failure message
+ */
+function finishSession(session, status, error = null) {
+  session.status = status;
+  session.error = error;
+  session.finishedAt = Date.now();
+  delete session.deviceCode;
+}
+
+/**
+ * Exchange the Microsoft tokens for Xbox Live tokens and save them into the session's account slot
+ * @param {Object} session - Device login session
+ * @param {Object} tokenData - Token data from the Microsoft token endpoint
+ */
+async function completeSession(session, tokenData) {
+  session.status = "authenticating";
+  const { userToken, xsts } = await authService.authenticateXboxLive(tokenData.access_token);
+
+  tokenService.saveTokens({
+    access_token: tokenData.access_token,
+    userToken,
+    xsts,
+    refresh_token: tokenData.refresh_token,
+    expires_in: tokenData.expires_in,
+    token_type: tokenData.token_type,
+    scope: tokenData.scope,
+    user_id: tokenData.user_id,
+    foci: tokenData.foci
+  }, session.account);
+
+  console.log(`Device login completed for account ${session.account}`);
+  finishSession(session, "completed");
+}
+
+/**
+ * Poll the Microsoft token endpoint until the user signs in, the code expires or polling fails
+ * @param {Object} session - Device login session
+ */
+function schedulePoll(session) {
+  const timer = setTimeout(async () => {
+    if (Date.now() >= session.expiresAt) {
+      finishSession(session, "expired", "Device code expired before login completed");
+      return;
+    }
+
+    try {
+      const result = await authService.pollDeviceCodeToken(session.deviceCode);
+      session.lastPolledAt = Date.now();
+
+      if (result.tokens) {
+        await completeSession(session, result.tokens);
+        return;
+      }
+
+      // Back off as requested by the token endpoint
+      if (result.slowDown) session.interval += 5;
+      schedulePoll(session);
+    } catch (error) {
+      console.error(`Device login failed for account ${session.account}:`, error);
+      finishSession(session, "failed", error.message);
+    }
+  }, session.interval * 1000);
+
+  // Don't keep the process alive just to poll
+  timer.unref();
+}
+
+/**
+ * Describe a session without exposing the device code
+ * @param {Object} session - Device login session
+ * @returns {Object} Public session status
+ */
+function formatSession(session) {
+  return {
+    sessionId: session.id,
+    account: session.account,
+    status: session.status,
+    userCode: session.userCode,
+    verificationUri: session.verificationUri,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    lastPolledAt: session.lastPolledAt ? new Date(session.lastPolledAt).toISOString() : null,
+    finishedAt: session.finishedAt ? new Date(session.finishedAt).toISOString() : null,
+    error: session.error,
+  };
+}
+
+/**
+ * Start a device-code login for an account slot and poll for completion in the background
+ * @param {string} account - Account slot name to save tokens into
+ * @returns {Promise<Object>} Public session status including the user code and verification URL
+ */
+async function startDeviceLogin(account) {
+  pruneSessions();
+
+  const deviceCode = await authService.requestDeviceCode();
+  const session = {
+    id: crypto.randomUUID(),
+    account,
+    status: "pending",
+    deviceCode: deviceCode.device_code,
+    userCode: deviceCode.user_code,
+    verificationUri: deviceCode.verification_uri,
+    interval: deviceCode.interval || 5,
+    expiresAt: Date.now() + (deviceCode.expires_in || 900) * 1000,
+    lastPolledAt: null,
+    finishedAt: null,
+    error: null,
+  };
+
+  sessions.set(session.id, session);
+  schedulePoll(session);
+
+  console.log(`Device login started for account ${account}, code ${session.userCode}`);
+  return formatSession(session);
+}
+
+/**
+ * Get the status of a device login session
+ * @param {string} sessionId - Session ID returned by startDeviceLogin
+ * @returns {Object|null} Public session status or null if unknown
+ */
+function getDeviceLoginStatus(sessionId) {
+  const session = sessions.get(sessionId);
+  return session ? formatSession(session) : null;
+}
+
+module.exports = {
+  startDeviceLogin,
+  getDeviceLoginStatus,
+};
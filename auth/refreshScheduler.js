@@ -0,0 +1,146 @@
+const accountPool = require("./accountPool");
+const tokenService = require("./tokenService");
+const CONFIG = require("../config");
+
+// Refresh outcome per account, reset on restart
+const accountState = new Map();
+let timer = null;
+let running = false;
+let lastRunAt = null;
+
+/**
+ * Get (or create) the refresh state for an account
+ * @param {string} account - Account slot name
+ * @returns {Object} Mutable refresh state
+ */
+function getState(account) {
+  if (!accountState.has(account)) {
+    accountState.set(account, {
+      lastOutcome: null,
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      nextAttemptAt: 0,
+    });
+  }
+  return accountState.get(account);
+}
+
+/**
+ * Backoff delay after a number of consecutive failures
+ * @param {number} failures - Consecutive failure count (1 or more)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(failures) {
+  return Math.min(CONFIG.tokenRefreshBackoffBase * 2 ** (failures - 1), CONFIG.tokenRefreshBackoffMax);
+}
+
+/**
+ * Renew one account's access token and XSTS token if either expires within the lead time
+ * @param {string} account - Account slot name
+ */
+async function refreshAccount(account) {
+  const state = getState(account);
+  if (Date.now() < state.nextAttemptAt) return;
+
+  state.lastAttemptAt = Date.now();
+  try {
+    const { accessTokenRefreshed, xstsRefreshed } = await accountPool.ensureAccountTokens(account, CONFIG.tokenRefreshLead);
+    state.lastOutcome = accessTokenRefreshed || xstsRefreshed ? "refreshed" : "fresh";
+    state.lastSuccessAt = Date.now();
+    state.lastError = null;
+    state.consecutiveFailures = 0;
+    state.nextAttemptAt = 0;
+
+    if (state.lastOutcome === "refreshed") {
+      console.log(`Background refresh renewed tokens for account ${account}`);
+    }
+  } catch (error) {
+    state.lastOutcome = "failed";
+    state.lastError = error.message;
+    state.consecutiveFailures++;
+    state.nextAttemptAt = Date.now() + getBackoffDelay(state.consecutiveFailures);
+    console.error(`Background refresh failed for account ${account} (attempt ${state.consecutiveFailures}):`, error.message);
+  }
+}
+
+/**
+ * Run one refresh pass over every stored account
+ */
+async function runOnce() {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const account of tokenService.listAccounts()) {
+      await refreshAccount(account);
+    }
+  } catch (error) {
+    console.error('Background token refresh pass failed:', error);
+  } finally {
+    lastRunAt = Date.now();
+    running = false;
+  }
+}
+
+/**
+ * Start the background refresh scheduler (runs a pass immediately)
+ */
+function start() {
+  if (timer) return;
+
+  timer = setInterval(runOnce, CONFIG.tokenRefreshInterval);
+  timer.unref();
+  runOnce();
+  console.log(`Token refresh scheduler started (every ${CONFIG.tokenRefreshInterval / 1000}s)`);
+}
+
+/**
+ * Stop the background refresh scheduler
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Describe the scheduler and the last refresh outcome per account
+ * @returns {Object} Scheduler health report
+ */
+function getStatus() {
+  const toIso = (time) => time ? new Date(time).toISOString() : null;
+  const accounts = tokenService.listAccounts().map(account => {
+    const state = getState(account);
+    const tokens = tokenService.loadTokens(account) || {};
+    return {
+      account,
+      lastOutcome: state.lastOutcome,
+      lastAttemptAt: toIso(state.lastAttemptAt),
+      lastSuccessAt: toIso(state.lastSuccessAt),
+      lastError: state.lastError,
+      consecutiveFailures: state.consecutiveFailures,
+      nextAttemptAt: toIso(state.nextAttemptAt),
+      tokensValid: !tokenService.needsTokenRefresh(tokens) && !tokenService.needsXboxTokenRefresh(tokens.xsts, 0),
+      accessTokenExpiresAt: toIso(tokens.expires_at),
+      xstsExpiresAt: tokens.xsts?.NotAfter || null,
+    };
+  });
+
+  return {
+    enabled: timer !== null,
+    intervalSeconds: CONFIG.tokenRefreshInterval / 1000,
+    leadSeconds: CONFIG.tokenRefreshLead / 1000,
+    lastRunAt: toIso(lastRunAt),
+    accounts,
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus,
+};
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const FORMAT_VERSION = 1;
+
+// scrypt is deliberately slow and blocking, so the last derived key is reused along with its salt.
+// Only a digest of the secret is kept, to notice a different secret without holding on to it.
+let lastDerived = null;
+
+/**
+ * Derive a 256-bit key from the configured secret, reusing the last key when salt and secret match
+ * @param {string} secret - Secret from the environment
+ * @param {Buffer} salt - Random salt stored with the file
+ * @returns {Buffer} Derived key
+ */
+function deriveKey(secret, salt) {
+  const secretDigest = crypto.createHash("sha256").update(secret).digest();
+  if (!lastDerived || !lastDerived.salt.equals(salt) || !lastDerived.secretDigest.equals(secretDigest)) {
+    lastDerived = { salt, secretDigest, key: crypto.scryptSync(secret, salt, 32) };
+  }
+  return lastDerived.key;
+}
+
+/**
+ * Salt for the next write: the salt of the last derived key for the same secret, so saving doesn't run scrypt again
+ * @param {string} secret - Secret from the environment
+ * @returns {Buffer} Salt
+ */
+function getWriteSalt(secret) {
+  const secretDigest = crypto.createHash("sha256").update(secret).digest();
+  return lastDerived && lastDerived.secretDigest.equals(secretDigest) ? lastDerived.salt : crypto.randomBytes(16);
+}
+
+/**
+ * Check if parsed file contents are an encrypted envelope
+ * @param {Object} data - Parsed token file contents
+ * @returns {boolean} True if the data was written by encrypt()
+ */
+function isEncrypted(data) {
+  return !!data && data.encrypted === true && typeof data.ciphertext === "string";
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {Object} value - Value to encrypt
+ * @param {string} secret - Secret from the environment
+ * @returns {Object} Encrypted envelope, safe to write as JSON
+ */
+function encrypt(value, secret) {
+  const salt = getWriteSalt(secret);
+  // A fresh IV per write keeps AES-GCM safe with a reused key
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+
+  return {
+    encrypted: true,
+    version: FORMAT_VERSION,
+    algorithm: ALGORITHM,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encrypt()
+ * @param {Object} envelope - Encrypted envelope
+ * @param {string} secret - Secret from the environment
+ * @returns {Object} Decrypted value
+ * @throws {Error} If the secret is wrong or the envelope was tampered with
+ */
+function decrypt(envelope, secret) {
+  if (envelope.version !== FORMAT_VERSION || envelope.algorithm !== ALGORITHM) {
+    throw new Error(`Unsupported token store format (version ${envelope.version}, ${envelope.algorithm})`);
+  }
+
+  const salt = Buffer.from(envelope.salt, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret, salt), Buffer.from(envelope.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, "base64")),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    throw new Error("Failed to decrypt token store, TOKEN_ENCRYPTION_KEY is wrong or the file is corrupted");
+  }
+
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+module.exports = {
+  isEncrypted,
+  encrypt,
+  decrypt,
+};
@@ -1,86 +1,181 @@
 const fs = require("fs");
 const path = require("path");
 const authService = require("./authService");
+const tokenCrypto = require("./tokenCrypto");
 const CONFIG = require("../config");
 
 const tokenPath = path.join(process.cwd(), CONFIG.tokenFilename);
 
+const DEFAULT_ACCOUNT = "default";
+
+/**
+ * Read the whole token store from file system
+ * Plaintext stores are migrated to the encrypted format on first load when a key is configured
+ * @returns {{accounts: Object}} Token store keyed by account name
+ * @throws {Error} If the store is encrypted and the key is missing or wrong
+ */
+function readStore() {
+  if (!fs.existsSync(tokenPath)) {
+    return { accounts: {} };
+  }
+
+  let data = JSON.parse(fs.readFileSync(tokenPath, "utf8"));
+  const wasEncrypted = tokenCrypto.isEncrypted(data);
+
+  if (wasEncrypted) {
+    if (!CONFIG.tokenEncryptionKey) {
+      throw new Error("Token store is encrypted but TOKEN_ENCRYPTION_KEY is not set");
+    }
+    data = tokenCrypto.decrypt(data, CONFIG.tokenEncryptionKey);
+  }
+
+  // Older token.json files hold a single account's tokens at the top level
+  const store = data.accounts ? data : { accounts: { [DEFAULT_ACCOUNT]: data } };
+
+  if (!wasEncrypted && CONFIG.tokenEncryptionKey) {
+    console.log('Migrating plaintext token store to encrypted format');
+    writeStore(store);
+  }
+
+  return store;
+}
+
+/**
+ * Write the whole token store to file system, encrypted with the configured key
+ * The store is written to a temp file and renamed over token.json, so readers never see a torn file
+ * @param {{accounts: Object}} store - Token store keyed by account name
+ * @throws {Error} If no key is configured, refresh tokens are never written as plaintext
+ */
+function writeStore(store) {
+  if (!CONFIG.tokenEncryptionKey) {
+    throw new Error("TOKEN_ENCRYPTION_KEY is not set, refusing to store tokens as plaintext");
+  }
+  const data = tokenCrypto.encrypt(store, CONFIG.tokenEncryptionKey);
+
+  const tempPath = `${tokenPath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, "w", 0o600);
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, tokenPath);
+}
+
+/**
+ * Load the token store once at startup so a missing or wrong key or a corrupt file stops the server early
+ * @throws {Error} If no key is configured or the token store cannot be read or decrypted
+ */
+function initTokenStore() {
+  if (!CONFIG.tokenEncryptionKey) {
+    throw new Error("TOKEN_ENCRYPTION_KEY is not set, tokens are only stored encrypted (generate one with `openssl rand -base64 32`)");
+  }
+
+  const store = readStore();
+  console.log(`Token store ready (${Object.keys(store.accounts).length} account(s))`);
+}
+
+/**
+ * Validate account slot name
+ * @param {string} account - Account name to validate
+ * @returns {boolean} True if valid account name (alphanumeric, dashes and underscores)
+ */
+function isValidAccountName(account) {
+  return typeof account === "string" && /^[A-Za-z0-9_-]{1,32}$/.test(account);
+}
+
+/**
+ * List the names of all stored accounts
+ * @returns {Array<string>} Account names
+ */
+function listAccounts() {
+  return Object.keys(readStore().accounts);
+}
+
 /**
  * Load tokens from file system
+ * @param {string} account - Account slot name (default: "default")
  * @returns {Object|null} Token data or null if not found
  */
-function loadTokens() {
-  if (fs.existsSync(tokenPath)) {
-    return JSON.parse(fs.readFileSync(tokenPath, "utf8"));
-  }
-  return null;
+function loadTokens(account = DEFAULT_ACCOUNT) {
+  return readStore().accounts[account] || null;
 }
 
 /**
  * Save tokens to file system
  * @param {Object} data - Token data to save
+ * @param {string} account - Account slot name (default: "default")
  */
-function saveTokens(data) {
+function saveTokens(data, account = DEFAULT_ACCOUNT) {
+  // Convert the relative lifetime once, so later saves don't push expires_at forward
   if (data.expires_in) {
     data.expires_at = Date.now() + (data.expires_in * 1000);
+    delete data.expires_in;
   }
-  fs.writeFileSync(tokenPath, JSON.stringify(data, null, 2));
+
+  const store = readStore();
+  store.accounts[account] = data;
+  writeStore(store);
 }
 
 
 /**
  * Check if access token needs refreshing
  * @param {Object} tokens - Current token data
+ * @param {number} leadTime - Milliseconds before expiry to already consider the token expired (default: 0)
  * @returns {boolean} True if token needs refreshing
  */
-function needsTokenRefresh(tokens) {
+function needsTokenRefresh(tokens, leadTime = 0) {
   if (!tokens.access_token) return true;
-  
-  if (tokens.expires_at && Date.now() >= tokens.expires_at) {
+
+  if (tokens.expires_at && Date.now() >= tokens.expires_at - leadTime) {
     return true;
   }
-  
+
   return false;
 }
 
 /**
  * Check if Xbox XSTS token needs refreshing
  * @param {Object} xstsToken - XSTS token data
+ * @param {number} bufferTime - Milliseconds before NotAfter to already consider the token expired (default: 5 minutes)
  * @returns {boolean} True if token needs refreshing
  */
-function needsXboxTokenRefresh(xstsToken) {
+function needsXboxTokenRefresh(xstsToken, bufferTime = 5 * 60 * 1000) {
   if (!xstsToken || !xstsToken.NotAfter) return true;
-  
+
   // Parse NotAfter timestamp and check if expired (add some buffer time)
   const expiryDate = new Date(xstsToken.NotAfter);
-  const bufferTime = 5 * 60 * 1000; // 5 minutes buffer
   return Date.now() >= (expiryDate.getTime() - bufferTime);
 }
 
 /**
  * Refresh tokens and Xbox Live authentication if needed
+ * @param {string} account - Account slot name (default: "default")
+ * @param {number} leadTime - Milliseconds before expiry to already refresh (default: 0)
  * @returns {Promise<Object|null>} Refreshed token data or null if refresh failed
  */
-async function refreshTokensIfNeeded() {
-  const tokens = loadTokens();
+async function refreshTokensIfNeeded(account = DEFAULT_ACCOUNT, leadTime = 0) {
+  const tokens = loadTokens(account);
   if (!tokens) {
-    console.log('No tokens found, authentication required');
+    console.log(`No tokens found for account ${account}, authentication required`);
     return null;
   }
 
   // Check if access token needs refresh
-  if (needsTokenRefresh(tokens)) {
-    console.log('Access token expired, attempting refresh...');
-    
+  if (needsTokenRefresh(tokens, leadTime)) {
+    console.log(`Access token expired for account ${account}, attempting refresh...`);
+
     if (!tokens.refresh_token) {
-      console.log('No refresh token available, re-authentication required');
+      console.log(`No refresh token available for account ${account}, re-authentication required`);
       return null;
     }
 
     try {
       // Refresh the access token
       const newTokenData = await authService.refreshAccessToken(tokens.refresh_token);
-      
+
       // Merge with existing data and preserve Xbox Live tokens temporarily
       const updatedTokens = {
         ...tokens,
@@ -89,12 +184,12 @@ async function refreshTokensIfNeeded() {
         userToken: null,
         xsts: null
       };
-      
-      saveTokens(updatedTokens);
-      console.log('Access token refreshed successfully');
+
+      saveTokens(updatedTokens, account);
+      console.log(`Access token refreshed successfully for account ${account}`);
       return { ...updatedTokens, refreshed: true };
     } catch (error) {
-      console.error('Failed to refresh access token:', error);
+      console.error(`Failed to refresh access token for account ${account}:`, error);
       return null;
     }
   }
@@ -103,9 +198,13 @@ async function refreshTokensIfNeeded() {
 }
 
 module.exports = {
+  DEFAULT_ACCOUNT,
+  initTokenStore,
+  isValidAccountName,
+  listAccounts,
   loadTokens,
   saveTokens,
   needsTokenRefresh,
   needsXboxTokenRefresh,
   refreshTokensIfNeeded,
-};
\ No newline at end of file
+};
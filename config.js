@@ -6,19 +6,86 @@ const CONFIG = {
   excludedFileExtensions: [".phf", ".xsp"],
   redirectUri: "https://login.live.com/oauth20_desktop.srf",
   microsoftLoginUrl: "https://login.live.com/oauth20_authorize.srf",
-  microsoftTokenUrl: "https://login.live.com/oauth20_token.srf",
-  xasuUrl: "https://user.auth.xboxlive.com/user/authenticate",
-  xstsUrl: "https://xsts.auth.xboxlive.com/xsts/authorize",
+  // Overridable so the login flows can run against a local stub server
+  microsoftTokenUrl: process.env.MICROSOFT_TOKEN_URL || "https://login.live.com/oauth20_token.srf",
+  microsoftDeviceCodeUrl: process.env.MICROSOFT_DEVICE_CODE_URL || "https://login.live.com/oauth20_connect.srf",
+  xasuUrl: process.env.XASU_URL || "https://user.auth.xboxlive.com/user/authenticate",
+  xstsUrl: process.env.XSTS_URL || "https://xsts.auth.xboxlive.com/xsts/authorize",
   authorizeScope: "service::user.auth.xboxlive.com::MBI_SSL",
+  defaultMarket: "US",
+  defaultLanguages: "en-US,neutral",
   
   // Application mode and authentication settings
   publicMode: process.env.PUBLIC_MODE !== 'false',
   authPassword: process.env.AUTH_PASSWORD,
+  publicScopes: process.env.PUBLIC_SCOPES ? process.env.PUBLIC_SCOPES.split(',').map(s => s.trim()) : ['lookup', 'history'],
   corsWhitelist: process.env.CORS_WHITELIST ? process.env.CORS_WHITELIST.split(',').map(s => s.trim()) : null,
   debugMode: process.env.DEBUG_MODE === 'true',
   
+  // Token storage settings (tokens are encrypted at rest when a key is set)
+  tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY || null,
+
+  // Account pool settings (seconds before a failing account is tried again)
+  accountFailureCooldown: (parseInt(process.env.ACCOUNT_FAILURE_COOLDOWN, 10) || 300) * 1000,
+
+  // Background token refresh settings (seconds in the environment)
+  tokenRefreshScheduler: process.env.TOKEN_REFRESH_SCHEDULER !== 'false',
+  tokenRefreshInterval: (parseInt(process.env.TOKEN_REFRESH_INTERVAL, 10) || 60) * 1000,
+  tokenRefreshLead: (parseInt(process.env.TOKEN_REFRESH_LEAD, 10) || 900) * 1000,
+  tokenRefreshBackoffBase: (parseInt(process.env.TOKEN_REFRESH_BACKOFF_BASE, 10) || 30) * 1000,
+  tokenRefreshBackoffMax: (parseInt(process.env.TOKEN_REFRESH_BACKOFF_MAX, 10) || 1800) * 1000,
+
+  // Rate limit settings (calls per window, 0 disables a budget)
+  rateLimitEnabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  rateLimitWindow: (parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 60) * 1000,
+  rateLimits: {
+    requests: parseInt(process.env.RATE_LIMIT_REQUESTS || '60', 10),
+    upstream: parseInt(process.env.RATE_LIMIT_UPSTREAM || '10', 10),
+  },
+  trustProxy: process.env.TRUST_PROXY === 'true',
+
+  // CDN mirror probe settings
+  mirrorProbeBytes: parseInt(process.env.MIRROR_PROBE_BYTES, 10) || 256 * 1024,
+  mirrorProbeTimeout: (parseInt(process.env.MIRROR_PROBE_TIMEOUT, 10) || 5) * 1000,
+  mirrorProbeTtl: (parseInt(process.env.MIRROR_PROBE_TTL, 10) || 600) * 1000,
+
+  // Batch lookup settings
+  batchMaxItems: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50,
+  batchConcurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 4,
+  displayCatalogBatchSize: 20,
+
+  // Catalog search settings
+  searchMaxResults: parseInt(process.env.SEARCH_MAX_RESULTS, 10) || 25,
+  searchMaxResolve: parseInt(process.env.SEARCH_MAX_RESOLVE, 10) || 5,
+
+  // Download job settings
+  downloadDirectory: process.env.DOWNLOAD_DIRECTORY || "downloads",
+  downloadProgressInterval: 1000,
+
+  // Watch and webhook settings
+  watchPoller: process.env.WATCH_POLLER !== 'false',
+  watchPollInterval: (parseInt(process.env.WATCH_POLL_INTERVAL, 10) || 900) * 1000,
+  webhookSecret: process.env.WEBHOOK_SECRET || null,
+  webhookTimeout: (parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10) * 1000,
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  webhookBackoffBase: (parseInt(process.env.WEBHOOK_BACKOFF_BASE, 10) || 30) * 1000,
+  webhookBackoffMax: (parseInt(process.env.WEBHOOK_BACKOFF_MAX, 10) || 3600) * 1000,
+
   // Cache settings
-  cacheHistory: process.env.CACHE_HISTORY === 'true'
+  databasePath: process.env.DATABASE_PATH || "cache.db",
+  cacheBackend: process.env.CACHE_BACKEND || "sqlite",
+  cacheJsonPath: process.env.CACHE_JSON_PATH || "cache.json",
+  cacheLruSize: process.env.CACHE_LRU_SIZE === undefined ? 500 : parseInt(process.env.CACHE_LRU_SIZE, 10) || 0,
+  cacheHistory: process.env.CACHE_HISTORY === 'true',
+  // 0 turns the product cache off, so unset falls back to the default instead
+  productCacheTtl: (process.env.PRODUCT_CACHE_TTL === undefined ? 300 : parseInt(process.env.PRODUCT_CACHE_TTL, 10) || 0) * 1000,
+  productCacheStaleWhileRevalidate: process.env.PRODUCT_CACHE_SWR === 'true',
+  productCacheStaleTtl: (parseInt(process.env.PRODUCT_CACHE_STALE_TTL, 10) || 86400) * 1000,
+  contentCacheTtl: (process.env.CONTENT_CACHE_TTL === undefined ? 3600 : parseInt(process.env.CONTENT_CACHE_TTL, 10) || 0) * 1000,
+  // Retention, 0 keeps everything
+  cacheMaxHistory: parseInt(process.env.CACHE_MAX_HISTORY, 10) || 0,
+  cacheMaxAgeDays: parseInt(process.env.CACHE_MAX_AGE_DAYS, 10) || 0,
+  cacheRetentionInterval: (parseInt(process.env.CACHE_RETENTION_INTERVAL, 10) || 3600) * 1000
 };
 
 module.exports = CONFIG;
\ No newline at end of file
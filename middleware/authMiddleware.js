@@ -1,61 +1,157 @@
+const crypto = require("crypto");
+const apiKeyService = require("../services/apiKeyService");
 const CONFIG = require("../config");
 
+// Sample and placeholder values that must never unlock the bootstrap key
+const DEFAULT_PASSWORDS = ['nopassword', 'password', 'changeme', 'admin'];
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Bearer token or null if not present
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return null;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  // Hash first so both buffers have the same length regardless of input
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Check whether AUTH_PASSWORD is set to something other than a known default
+ * @returns {boolean} True if the bootstrap key can be used
+ */
+function isBootstrapKeyEnabled() {
+  return !!CONFIG.authPassword && !DEFAULT_PASSWORDS.includes(CONFIG.authPassword.trim().toLowerCase());
+}
+
 /**
  * Check if request has valid password authentication
  * @param {Object} req - Express request object
  * @returns {boolean} True if authenticated with valid password
  */
 function isPasswordAuthenticated(req) {
-  const authHeader = req.headers.authorization;
-  
-  if (!CONFIG.authPassword) {
-    return false; // No password configured
+  if (!isBootstrapKeyEnabled()) {
+    return false; // No password configured, or a default one
   }
 
-  // Check Authorization header (Bearer token)
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7);
-    return token === CONFIG.authPassword;
+  const token = getBearerToken(req);
+  return token !== null && safeEqual(token, CONFIG.authPassword);
+}
+
+/**
+ * Resolve the API key a request authenticated with
+ * AUTH_PASSWORD is a bootstrap key: its `bootstrap` scope only allows creating the first API keys
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} API key description or null if the bearer value is not valid
+ */
+async function resolveApiKey(req) {
+  if (isPasswordAuthenticated(req)) {
+    return { id: null, label: 'AUTH_PASSWORD', scopes: ['bootstrap'] };
   }
-  
-  return false;
+
+  return apiKeyService.verifyKey(getBearerToken(req));
 }
 
 /**
  * Authentication middleware factory
+ * Attaches the authenticating key to `req.apiKey` (null for anonymous public mode requests)
  * @returns {Function} Express middleware function
  */
 function createAuthMiddleware() {
-  return (req, res, next) => {
-    
+  if (CONFIG.authPassword && !isBootstrapKeyEnabled()) {
+    console.warn('AUTH_PASSWORD is set to a default value and is ignored, choose a random secret to use the bootstrap key');
+  }
+
+  return async (req, res, next) => {
+    req.apiKey = null;
+
     // Always allow root endpoint
     if (req.path === '/') {
       return next();
     }
-    
-    const hasPasswordAuth = isPasswordAuthenticated(req);
-    
-    if (CONFIG.publicMode) {
-      // Public mode: allow access
-      return next();
-    } else {
-      // Private mode: require password authentication for all non-root endpoints
-      if (!hasPasswordAuth) {
+
+    if (getBearerToken(req) !== null) {
+      try {
+        req.apiKey = await resolveApiKey(req);
+      } catch (err) {
+        console.error('Error verifying API key:', err);
+        return res.status(500).json({ error: 'Failed to verify API key' });
+      }
+
+      if (!req.apiKey) {
         return res.status(401).json({
-          error: 'Authentication required',
-          message: 'This server is in private mode.',
-          authMethods: [
-            'Authorization header: Bearer <password>'
-          ]
+          error: 'Invalid API key',
+          message: 'The API key is unknown, revoked or expired.'
         });
       }
-      
+
       return next();
     }
+
+    if (CONFIG.publicMode) {
+      // Public mode: allow anonymous access with the public scopes
+      return next();
+    }
+
+    // Private mode: require an API key for all non-root endpoints
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'This server is in private mode.',
+      authMethods: [
+        'Authorization header: Bearer <api key>'
+      ]
+    });
+  };
+}
+
+/**
+ * Check whether a request carries a scope, use after the authentication middleware
+ * The admin scope grants every other scope; anonymous public mode requests get CONFIG.publicScopes
+ * @param {Object} req - Express request object
+ * @param {string} scope - Scope to check
+ * @returns {boolean} Whether the request has the scope
+ */
+function hasScope(req, scope) {
+  const scopes = req.apiKey ? req.apiKey.scopes : (CONFIG.publicMode ? CONFIG.publicScopes : []);
+  return scopes.includes('admin') || scopes.includes(scope);
+}
+
+/**
+ * Scope check middleware factory, use after the authentication middleware
+ * @param {string} scope - Required scope
+ * @returns {Function} Express middleware function
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req, scope)) {
+      return next();
+    }
+
+    return res.status(req.apiKey ? 403 : 401).json({
+      error: 'Insufficient scope',
+      message: `This endpoint requires an API key with the "${scope}" scope.`
+    });
   };
 }
 
 module.exports = {
   isPasswordAuthenticated,
   createAuthMiddleware,
-};
\ No newline at end of file
+  hasScope,
+  requireScope,
+};
@@ -0,0 +1,99 @@
+const rateLimitService = require("../services/rateLimitService");
+const CONFIG = require("../config");
+
+// Response header prefix per bucket
+const HEADER_PREFIXES = {
+  requests: 'RateLimit',
+  upstream: 'RateLimit-Upstream',
+};
+
+/**
+ * Identify the client a request counts against: its API key, or its IP when anonymous
+ * @param {Object} req - Express request object
+ * @returns {string} Client key
+ */
+function getClientKey(req) {
+  if (req.apiKey && req.apiKey.id !== null) {
+    return `key:${req.apiKey.id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Count calls against a bucket without touching the response
+ * @param {Object} req - Express request object
+ * @param {string} bucket - Bucket name ("requests" or "upstream")
+ * @param {number} cost - Number of calls to count (default: 1)
+ * @returns {Promise<Object|null>} Budget state with `retryAfter` in seconds, or null when not limited
+ */
+async function checkRateLimit(req, bucket, cost = 1) {
+  if (!CONFIG.rateLimitEnabled) return null;
+
+  let result;
+  try {
+    result = await rateLimitService.consume(getClientKey(req), bucket, cost);
+  } catch (err) {
+    // Fail open: a broken counter shouldn't take the service down
+    console.error('Rate limit check failed:', err);
+    return null;
+  }
+
+  if (!result.limit) return null;
+
+  return {
+    ...result,
+    retryAfter: Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))
+  };
+}
+
+/**
+ * Count calls against a bucket, set rate limit headers and reply 429 when over budget
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} bucket - Bucket name ("requests" or "upstream")
+ * @param {number} cost - Number of calls to count (default: 1)
+ * @returns {Promise<boolean>} True if the request may continue, false if a 429 was sent
+ */
+async function consumeRateLimit(req, res, bucket, cost = 1) {
+  const result = await checkRateLimit(req, bucket, cost);
+  if (!result) return true;
+
+  const prefix = HEADER_PREFIXES[bucket];
+  res.set(`${prefix}-Limit`, String(result.limit));
+  res.set(`${prefix}-Remaining`, String(result.remaining));
+  res.set(`${prefix}-Reset`, String(result.retryAfter));
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: bucket === 'upstream'
+        ? 'Too many lookups reaching the Xbox Live package service, try again later or use cached products.'
+        : 'Too many requests, try again later.',
+      retryAfter: result.retryAfter
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Rate limit middleware factory, use after the authentication middleware
+ * @param {string} bucket - Bucket name ("requests" or "upstream")
+ * @param {Function} [getCost] - Returns how many calls the request counts as (default: 1)
+ * @returns {Function} Express middleware function
+ */
+function rateLimit(bucket, getCost = () => 1) {
+  return async (req, res, next) => {
+    if (await consumeRateLimit(req, res, bucket, getCost(req))) {
+      return next();
+    }
+  };
+}
+
+module.exports = {
+  checkRateLimit,
+  consumeRateLimit,
+  rateLimit,
+};
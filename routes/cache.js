@@ -0,0 +1,177 @@
+const express = require("express");
+const cacheService = require("../services/cacheService");
+const cacheRetention = require("../services/cacheRetention");
+const catalogService = require("../services/catalogService");
+const lookupService = require("../services/lookupService");
+const packageService = require("../services/packageService");
+const locales = require("../services/locales");
+const accountPool = require("../auth/accountPool");
+const { requireScope } = require("../middleware/authMiddleware");
+const CONFIG = require("../config");
+
+const router = express.Router();
+
+// Every cache endpoint is admin only
+router.use(requireScope('admin'));
+
+/**
+ * Parse an optional market parameter
+ * @param {*} value - Raw parameter
+ * @param {string|null} fallback - Value when the parameter is missing
+ * @returns {{market: string|null}|{error: string}} Normalized market
+ */
+function parseMarket(value, fallback) {
+  if (value === undefined) return { market: fallback };
+  const market = locales.normalizeMarket(value);
+  return market ? { market } : { error: 'Invalid market, must be a known two-letter market code such as US or GB' };
+}
+
+/**
+ * Cache statistics and retention status
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json({ stats: await cacheService.getStats(), retention: cacheRetention.getStatus() });
+  } catch (err) {
+    console.error('Error reading cache stats:', err);
+    res.status(500).json({ error: 'Failed to read cache stats' });
+  }
+});
+
+/**
+ * Delete the cache entries of a product, in every market unless `market` is given
+ */
+router.delete("/products/:productId", async (req, res) => {
+  const { productId } = req.params;
+  if (!packageService.isValidProductId(productId)) {
+    return res.status(400).json({ error: 'Invalid product ID' });
+  }
+
+  const { market, error } = parseMarket(req.query.market, null);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const deleted = await cacheService.deleteProduct(productId, market);
+    res.json({ productId, market, deleted });
+  } catch (err) {
+    console.error('Error deleting product cache:', err);
+    res.status(500).json({ error: 'Failed to delete cache entries' });
+  }
+});
+
+/**
+ * Delete the cache entries of a content ID
+ */
+router.delete("/content/:contentId", async (req, res) => {
+  const { contentId } = req.params;
+  if (!packageService.isValidContentId(contentId)) {
+    return res.status(400).json({ error: 'Invalid content ID' });
+  }
+
+  try {
+    const deleted = await cacheService.deleteContent(contentId);
+    res.json({ contentId, deleted });
+  } catch (err) {
+    console.error('Error deleting content cache:', err);
+    res.status(500).json({ error: 'Failed to delete cache entries' });
+  }
+});
+
+/**
+ * Delete package rows cached more than `olderThanDays` days ago
+ */
+router.post("/purge", async (req, res) => {
+  const olderThanDays = req.body?.olderThanDays;
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    return res.status(400).json({ error: 'olderThanDays must be a non-negative integer' });
+  }
+
+  try {
+    const deleted = await cacheService.clearOldCache(olderThanDays);
+    res.json({ olderThanDays, deleted });
+  } catch (err) {
+    console.error('Error purging cache:', err);
+    res.status(500).json({ error: 'Failed to purge cache' });
+  }
+});
+
+/**
+ * Apply the retention settings now
+ */
+router.post("/retention", async (req, res) => {
+  try {
+    const deleted = await cacheRetention.runOnce();
+    if (!deleted) {
+      return res.status(409).json({ error: 'Retention is already running' });
+    }
+    res.json({ deleted, retention: cacheRetention.getStatus() });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to apply retention: ' + err.message });
+  }
+});
+
+/**
+ * Fetch a product and the files of every package again, replacing what is cached
+ */
+router.post("/products/:productId/refresh", async (req, res) => {
+  const { productId } = req.params;
+  if (!packageService.isValidProductId(productId)) {
+    return res.status(400).json({ error: 'Invalid product ID' });
+  }
+
+  const { market, error } = parseMarket(req.body?.market, CONFIG.defaultMarket);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const session = await accountPool.acquireAccount();
+    if (!session) {
+      return res.status(401).json({ 
+        error: "No usable Xbox Live account. Not authenticated or token refresh failed. Go to /msixvc/login first" 
+      });
+    }
+
+    const productsData = await catalogService.refreshProductsData(productId, market, CONFIG.defaultLanguages);
+    if (!productsData) {
+      return res.status(404).json({ error: 'Could not fetch product data for the given product ID', productId });
+    }
+
+    const lastModifiedDate = productsData.Products?.[0]?.LastModifiedDate || null;
+    const metadata = packageService.extractMetadataFromProducts(productsData, {
+      market,
+      language: CONFIG.defaultLanguages.split(",")[0]
+    });
+    const contentIds = [...new Set(packageService.extractPackagesFromProducts(productsData)
+      .map(pkg => pkg.contentId)
+      .filter(Boolean))];
+
+    const packages = await lookupService.mapWithConcurrency(contentIds, CONFIG.batchConcurrency, async contentId => {
+      try {
+        const { files } = await lookupService.resolveFiles({
+          productId,
+          contentId,
+          lastModifiedDate,
+          market,
+          metadata,
+          xsts: session.xsts,
+          includeAuxFiles: true,
+          refresh: true
+        });
+        return files ? { contentId, fileCount: files.filter(file => !file.auxiliary).length } : { contentId, error: 'Package not found' };
+      } catch (err) {
+        console.error(`Failed to refresh package ${contentId}:`, err);
+        return { contentId, error: err.message };
+      }
+    });
+
+    res.json({ productId, market, lastModifiedDate, packages });
+  } catch (err) {
+    console.error('Error refreshing product:', err);
+    res.status(500).json({ error: 'Failed to refresh product: ' + err.message });
+  }
+});
+
+module.exports = router;
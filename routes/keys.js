@@ -0,0 +1,77 @@
+const express = require("express");
+const apiKeyService = require("../services/apiKeyService");
+const { requireScope } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+/**
+ * List API keys (hashes are never returned)
+ */
+router.get("/", requireScope('admin'), async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    res.json({ keys });
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+/**
+ * Create an API key - the plaintext key is only returned in this response
+ * Admin keys and the AUTH_PASSWORD bootstrap key may create keys, nothing else accepts the bootstrap key
+ */
+router.post("/", requireScope('bootstrap'), async (req, res) => {
+  const { label, scopes = ['lookup'], expiresAt } = req.body || {};
+
+  if (typeof label !== 'string' || !label.trim() || label.length > 100) {
+    return res.status(400).json({ error: 'Missing or invalid label (max 100 characters)' });
+  }
+
+  if (!apiKeyService.isValidScopeList(scopes)) {
+    return res.status(400).json({
+      error: 'Invalid scopes',
+      allowedScopes: apiKeyService.scopes
+    });
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    const parsed = new Date(expiresAt);
+    if (Number.isNaN(parsed.getTime()) || parsed <= new Date()) {
+      return res.status(400).json({ error: 'Invalid expiresAt, must be a future ISO date' });
+    }
+    expiry = parsed.toISOString();
+  }
+
+  try {
+    const key = await apiKeyService.createKey(label.trim(), [...new Set(scopes)], expiry);
+    res.status(201).json(key);
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * Revoke an API key
+ */
+router.delete("/:id", requireScope('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid key ID' });
+  }
+
+  try {
+    const revoked = await apiKeyService.revokeKey(id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    res.json({ id, revoked: true });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
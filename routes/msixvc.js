@@ -1,25 +1,86 @@
 const express = require("express");
+const { Readable } = require("stream");
+const contentDisposition = require("content-disposition");
 const authService = require("../auth/authService");
 const tokenService = require("../auth/tokenService");
+const accountPool = require("../auth/accountPool");
+const deviceLoginService = require("../auth/deviceLoginService");
+const refreshScheduler = require("../auth/refreshScheduler");
 const packageService = require("../services/packageService");
 const cacheService = require("../services/cacheService");
+const lookupService = require("../services/lookupService");
+const catalogService = require("../services/catalogService");
+const locales = require("../services/locales");
+const downloadService = require("../services/downloadService");
+const mirrorProbeService = require("../services/mirrorProbeService");
+const exportService = require("../services/exportService");
+const downloadJobService = require("../services/downloadJobService");
+const versionService = require("../services/versionService");
+const feedService = require("../services/feedService");
+const { requireScope, hasScope } = require("../middleware/authMiddleware");
+const { rateLimit, consumeRateLimit, checkRateLimit } = require("../middleware/rateLimitMiddleware");
 const CONFIG = require('../config');
 
 const router = express.Router();
 
 /**
  * Start OAuth flow - redirect to Microsoft login
+ * The optional `account` query parameter is carried through as OAuth `state`
+ * Admin only, like every route that adds accounts to the token pool
  */
-router.get("/login", (req, res) => {
-  const loginUrl = authService.getMicrosoftLoginUrl();
+router.get("/login", requireScope('admin'), (req, res) => {
+  const account = req.query.account;
+  if (account && !tokenService.isValidAccountName(account)) {
+    return res.status(400).send("Invalid account name. Use up to 32 letters, digits, dashes or underscores");
+  }
+
+  const loginUrl = authService.getMicrosoftLoginUrl("code", account);
   res.redirect(loginUrl);
 });
 
+/**
+ * Start device-code login - returns a user code and verification URL, tokens are saved once the user signs in
+ */
+router.post("/login/device", requireScope('admin'), async (req, res) => {
+  const account = req.body?.account || req.query.account || tokenService.DEFAULT_ACCOUNT;
+  if (!tokenService.isValidAccountName(account)) {
+    return res.status(400).json({ error: "Invalid account name. Use up to 32 letters, digits, dashes or underscores" });
+  }
+
+  try {
+    const session = await deviceLoginService.startDeviceLogin(account);
+    res.status(202).json({
+      ...session,
+      statusUrl: `${req.baseUrl}/login/device/${session.sessionId}`
+    });
+  } catch (err) {
+    console.error("Error starting device login:", err);
+    res.status(502).json({ error: "Failed to start device login: " + err.message });
+  }
+});
+
+/**
+ * Device-code login status - pending, authenticating, completed, failed or expired
+ */
+router.get("/login/device/:sessionId", requireScope('admin'), (req, res) => {
+  const session = deviceLoginService.getDeviceLoginStatus(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: "Unknown device login session" });
+  }
+  res.json(session);
+});
+
 /**
  * OAuth callback - handle authorization token and complete authentication
+ * Tokens are saved into the account slot given by `account` (or `state`), defaulting to "default"
  */
-router.get("/callback", async (req, res) => {
+router.get("/callback", requireScope('admin'), async (req, res) => {
   const code = req.query.code;
+  const account = req.query.account || req.query.state || tokenService.DEFAULT_ACCOUNT;
+  if (!tokenService.isValidAccountName(account)) {
+    return res.status(400).send("Invalid account name. Use up to 32 letters, digits, dashes or underscores");
+  }
+
   let access_token;
   let tokenData = null;
   
@@ -61,61 +122,160 @@ router.get("/callback", async (req, res) => {
       })
     };
     
-    tokenService.saveTokens(fullState);
+    tokenService.saveTokens(fullState, account);
 
-    res.send("Authentication successful! You can now call /msixvc/:contentId");
+    res.send(`Authentication successful for account "${account}"! You can now call /msixvc/:contentId`);
   } catch (err) {
     console.error("Authentication failed:", err);
     res.status(500).send("Authentication failed: " + err.message);
   }
 });
 
-// History endpoint - returns recent cache entries for products when history is enabled
-router.get('/recents', async (req, res) => {
+// Accounts endpoint - lists every stored account with its health and token expiry times
+router.get('/accounts', requireScope('admin'), (req, res) => {
+  try {
+    res.json({ accounts: accountPool.getAccountsStatus() });
+  } catch (err) {
+    console.error('Error reading accounts:', err);
+    res.status(500).json({ error: 'Failed to read accounts' });
+  }
+});
+
+// Health endpoint - overall token pool status; admins also get the background token refresh outcome per account
+router.get('/health', (req, res) => {
+  try {
+    const tokenRefresh = refreshScheduler.getStatus();
+    // Only a successful refresh or tokens that are still valid count, accounts not tried yet prove nothing
+    const healthy = tokenRefresh.accounts.filter(a => a.lastOutcome === 'refreshed' || a.lastOutcome === 'fresh' || a.tokensValid).length;
+    const failing = tokenRefresh.accounts.filter(a => a.lastOutcome === 'failed' && !a.tokensValid).length;
+
+    let status = 'ok';
+    if (tokenRefresh.accounts.length === 0 || failing === tokenRefresh.accounts.length) {
+      status = 'unavailable';
+    } else if (healthy === 0) {
+      status = 'unknown';
+    } else if (healthy < tokenRefresh.accounts.length) {
+      status = 'degraded';
+    }
+
+    // Account names and refresh errors are only for admins
+    const body = hasScope(req, 'admin') ? { status, tokenRefresh } : { status };
+    res.status(healthy === 0 ? 503 : 200).json(body);
+  } catch (err) {
+    console.error('Error reading health status:', err);
+    res.status(500).json({ error: 'Failed to read health status' });
+  }
+});
+
+/**
+ * Validate the `productId` (comma-separated) and `market` filters shared by the history endpoints
+ * @param {Object} query - Request query
+ * @returns {{productIds: Array<string>|null, market: string|null}|{error: string}} Filters or validation error
+ */
+function parseHistoryFilters(query) {
+  const productIds = query.productId ? String(query.productId).split(',').map(id => id.trim()).filter(Boolean) : null;
+  if (productIds && !productIds.every(id => packageService.isValidProductId(id))) {
+    return { error: 'Invalid productId parameter, must be comma-separated product IDs' };
+  }
+
+  let market = null;
+  if (query.market !== undefined) {
+    market = locales.normalizeMarket(query.market);
+    if (!market) {
+      return { error: "Invalid market parameter, must be a known two-letter market code such as US or GB" };
+    }
+  }
+
+  return { productIds, market };
+}
+
+// History endpoint - pages through cache entries with filters and a choice of sort order when history is enabled
+router.get('/recents', requireScope('history'), async (req, res) => {
   if (!CONFIG.cacheHistory) {
     return res.status(403).json({ error: 'Cache history is disabled' });
   }
 
-  const limitParam = req.query.limit;
-  let limit;
+  const { sort = 'cached_at', order = 'desc' } = req.query;
+  if (!cacheService.sortColumns.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort parameter, use one of: ${cacheService.sortColumns.join(', ')}` });
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({ error: 'Invalid order parameter, use asc or desc' });
+  }
 
-  if (limitParam) {
-    const parsed = parseInt(limitParam, 10);
-    if (Number.isNaN(parsed) || parsed <= 0) {
+  let limit = 10;
+  if (req.query.limit) {
+    limit = parseInt(req.query.limit, 10);
+    if (Number.isNaN(limit) || limit <= 0) {
       return res.status(400).json({ error: 'Invalid limit parameter' });
-    } else if (parsed > 30) {
-      return res.status(400).json({ error: 'Limit parameter too large, max is 30' });
+    } else if (limit > 100) {
+      return res.status(400).json({ error: 'Limit parameter too large, max is 100' });
+    }
+  }
+
+  const filters = parseHistoryFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const { productIds, market } = filters;
+
+  // Date range on cached_at, compared in SQLite's UTC datetime format
+  const range = {};
+  for (const name of ['since', 'until']) {
+    if (req.query[name] === undefined) continue;
+    const date = new Date(req.query[name]);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: `Invalid ${name} parameter, must be an ISO date` });
+    }
+    range[name] = date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  let after = null;
+  if (req.query.cursor) {
+    after = decodeCursor(req.query.cursor, { sort, order });
+    if (!after) {
+      return res.status(400).json({ error: 'Invalid cursor, it must come from next_cursor with the same sort and order' });
     }
-    limit = parsed;
   }
 
   try {
-    const history = await cacheService.getCacheHistory(limit);
+    // One extra row tells whether there is a next page
+    const rows = await cacheService.getCacheHistory(limit + 1, {
+      productIds,
+      market,
+      ...range,
+      distinct: req.query.distinct === 'true',
+      sort,
+      order,
+      after
+    });
+    const page = rows.slice(0, limit);
     const includeRawFiles = req.query.includeRawFiles === 'true';
-    const sanitizedHistory = history.map(entry => {
-      let files;
+
+    const history = page.map(entry => {
+      let files = [];
       try {
-        files = JSON.parse(entry.files_data);
+        files = JSON.parse(entry.files_data).filter(f => !f.auxiliary);
       } catch (e) {
-        files = entry.files_data;
-      }
-
-      if (!includeRawFiles && Array.isArray(files)) {
-        files = files.map(f => {
-          const { url, ...rest } = f;
-          return rest;
-        });
+        console.error(`Unreadable files_data in cache entry ${entry.id}:`, e.message);
       }
 
       return {
         product_id: entry.product_id,
+        content_id: entry.content_id,
+        market: entry.market,
         last_modified_date: entry.last_modified_date,
-        files_data: JSON.stringify(files),
+        file_count: files.length,
+        total_size: files.reduce((sum, f) => sum + (f.size || 0), 0),
+        files: includeRawFiles ? files : files.map(({ url, mirrors, ...rest }) => rest),
         cached_at: entry.cached_at
       };
     });
 
-    res.json({ history: sanitizedHistory });
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > limit ? encodeCursor({ sort, order, value: last[sort], id: last.id }) : null;
+
+    res.json({ history, next_cursor: nextCursor });
   } catch (err) {
     console.error('Error fetching cache history:', err);
     res.status(500).json({ error: 'Failed to fetch cache history' });
@@ -123,36 +283,531 @@ router.get('/recents', async (req, res) => {
 });
 
 /**
- * Fetch package information for a given content ID or product ID
+ * Encode a /recents keyset cursor
+ * @param {Object} position - Sort column, order and the sort value and id of the last entry
+ * @returns {string} Opaque base64url cursor
  */
-router.get("/:identifier", async (req, res) => {
-  const identifier = req.params.identifier;
-  let contentId = identifier;
-  let isProductId = false;
-  
+function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, i: id })).toString('base64url');
+}
+
+/**
+ * Decode a /recents keyset cursor, rejecting cursors made for another sort order
+ * @param {string} cursor - Cursor from next_cursor
+ * @param {Object} expected - Sort column and order of the current request
+ * @returns {{value: *, id: number}|null} Keyset position or null if invalid
+ */
+function decodeCursor(cursor, { sort, order }) {
+  try {
+    const { s, o, v, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== sort || o !== order || !Number.isInteger(i) || (typeof v !== 'string' && typeof v !== 'number')) {
+      return null;
+    }
+    return { value: v, id: i };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Update feed - Atom (default) or RSS feed of cached package updates, optionally for some products only
+router.get('/feed', requireScope('history'), async (req, res) => {
+  const format = req.query.format === undefined ? 'atom' : String(req.query.format).toLowerCase();
+  if (!feedService.FEED_FORMATS[format]) {
+    return res.status(400).json({ error: 'Invalid format, use atom or rss' });
+  }
+
+  const filters = parseHistoryFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const { productIds, market } = filters;
+
+  let limit = 20;
+  if (req.query.limit) {
+    limit = parseInt(req.query.limit, 10);
+    if (Number.isNaN(limit) || limit <= 0 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit parameter, must be between 1 and 100' });
+    }
+  }
+
+  try {
+    const rows = await cacheService.getCacheHistory(limit, { productIds, market });
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const feed = feedService.renderFeed(format, rows, { baseUrl, selfUrl: baseUrl + req.originalUrl });
+    res.type(feed.contentType).send(feed.body);
+  } catch (err) {
+    console.error('Error building update feed:', err);
+    res.status(500).json({ error: 'Failed to build update feed' });
+  }
+});
+
+/**
+ * Validate the `market` and `lang` lookup options, falling back to the configured defaults
+ * @param {string} [market] - Market code, e.g. "GB"
+ * @param {string} [lang] - Comma-separated language tags, e.g. "de-DE"
+ * @returns {{market: string, languages: string, language: string}|{error: string}} Locale or validation error
+ */
+function parseLocale(market, lang) {
+  const normalizedMarket = market === undefined ? CONFIG.defaultMarket : locales.normalizeMarket(market);
+  if (!normalizedMarket) {
+    return { error: "Invalid market parameter, must be a known two-letter market code such as US or GB" };
+  }
+
+  const languages = lang === undefined ? CONFIG.defaultLanguages : locales.normalizeLanguages(lang);
+  if (!languages) {
+    return { error: "Invalid lang parameter, must be comma-separated known language tags such as en-US or de-DE" };
+  }
+
+  return { market: normalizedMarket, languages, language: languages.split(",")[0] };
+}
+
+/**
+ * Build a beforeUpstreamFetch hook that counts against the upstream budget without sending a response
+ * @param {Object} req - Express request object
+ * @param {Object} state - Receives `retryAfter` when the budget is exhausted
+ * @returns {Function} Async hook for lookupService.resolveFiles
+ */
+function upstreamBudgetCheck(req, state) {
+  return async () => {
+    const limit = await checkRateLimit(req, 'upstream');
+    if (limit && !limit.allowed) {
+      state.retryAfter = limit.retryAfter;
+      return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Resolve the files of every package of a product, errors are reported per package
+ * @param {Array<Object>} packages - Packages from extractPackagesFromProducts
+ * @param {Object} context - Product ID, LastModifiedDate, market, metadata, xsts, includeAuxFiles and req
+ * @returns {Promise<Array<Object>>} Packages with `files`, or `status` and `error`
+ */
+async function resolveAllPackages(packages, { productId, lastModifiedDate, market, metadata, xsts, includeAuxFiles, req }) {
+  // Packages shared between SKUs are only fetched once
+  const byContentId = new Map();
+
+  return lookupService.mapWithConcurrency(packages, CONFIG.batchConcurrency, async pkg => {
+    if (!pkg.contentId) {
+      return { ...pkg, status: 404, error: "Package has no content ID" };
+    }
+
+    if (!byContentId.has(pkg.contentId)) {
+      const budget = {};
+      byContentId.set(pkg.contentId, lookupService.resolveFiles({
+        productId,
+        contentId: pkg.contentId,
+        lastModifiedDate,
+        market,
+        metadata,
+        xsts,
+        includeAuxFiles,
+        beforeUpstreamFetch: upstreamBudgetCheck(req, budget)
+      }).then(result => ({ ...result, retryAfter: budget.retryAfter })));
+    }
+
+    try {
+      const { files, blocked, retryAfter } = await byContentId.get(pkg.contentId);
+      if (blocked) {
+        return { ...pkg, status: 429, error: "Rate limit exceeded for lookups reaching the package service", retryAfter };
+      }
+      if (!files) {
+        return { ...pkg, status: 404, error: "Package not found" };
+      }
+      return { ...pkg, files };
+    } catch (err) {
+      console.error(`Failed to fetch package ${pkg.contentId}:`, err);
+      return { ...pkg, status: 500, error: "Failed to fetch package: " + err.message };
+    }
+  });
+}
+
+/**
+ * Resolve one batch item to a response entry, errors are reported per item
+ * @param {string} id - Product ID or content ID
+ * @param {Object} context - Shared batch state (productsById, productErrors, productByContentId, locale, xsts, includeAuxFiles, req)
+ * @returns {Promise<Object>} Result entry
+ */
+async function resolveBatchItem(id, { productsById, productErrors, productByContentId, locale, xsts, includeAuxFiles, req }) {
+  const isProductId = !packageService.isValidContentId(id);
+  let productId = isProductId ? id : productByContentId.get(id.toLowerCase()) || null;
+  let productsData = productId ? productsById.get(productId.toUpperCase()) || null : null;
+  let contentId = id;
+
+  if (isProductId) {
+    const productError = productErrors.get(id.toUpperCase());
+    if (productError) {
+      return { id, ok: false, status: 502, error: "Failed to fetch product data from Display Catalog: " + productError.message };
+    }
+    if (!productsData) {
+      return { id, ok: false, status: 404, error: "Could not fetch product data for the given product ID" };
+    }
+    contentId = packageService.extractContentIdFromProducts(productsData);
+    if (!contentId) {
+      return { id, ok: false, status: 404, error: "Could not find content ID for the given product ID" };
+    }
+  } else {
+    // Cached under the product, as Display Catalog spells the content ID
+    const productContentId = productsData && findProductContentId(productsData, id);
+    if (productContentId) {
+      contentId = productContentId;
+    } else {
+      // Not (or no longer) a package of a known product, look the content ID up on its own
+      productId = null;
+      productsData = null;
+    }
+  }
+
+  const budget = {};
+  const metadata = productsData ? packageService.extractMetadataFromProducts(productsData, locale) : null;
+  try {
+    const { files, usingCachedData, blocked } = await lookupService.resolveFiles({
+      productId,
+      contentId,
+      lastModifiedDate: productsData?.Products?.[0]?.LastModifiedDate || null,
+      market: locale.market,
+      metadata,
+      xsts,
+      includeAuxFiles,
+      beforeUpstreamFetch: upstreamBudgetCheck(req, budget)
+    });
+
+    if (blocked) {
+      return { id, ok: false, status: 429, error: "Rate limit exceeded for lookups reaching the package service", retryAfter: budget.retryAfter };
+    }
+    if (!files) {
+      return { id, ok: false, status: 404, error: "Package not found" };
+    }
+
+    const entry = { id, ok: true, contentId };
+    if (productId) {
+      entry.productId = productId;
+      entry.metadata = metadata;
+    }
+    entry.cached = usingCachedData;
+    entry.files = files;
+    return entry;
+  } catch (err) {
+    console.error(`Failed to fetch package for batch item ${id}:`, err);
+    return { id, ok: false, status: 500, error: "Failed to fetch package: " + err.message };
+  }
+}
+
+/**
+ * Validate the `ids` of a batch request
+ * @param {*} ids - Request body `ids`
+ * @returns {Object|null} Error response body, or null if valid
+ */
+function validateBatchIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: "Request body must contain a non-empty `ids` array" };
+  }
+  if (ids.length > CONFIG.batchMaxItems) {
+    return { error: `Too many ids, max is ${CONFIG.batchMaxItems}` };
+  }
+
+  const invalid = ids.filter(id => typeof id !== 'string' ||
+    !(packageService.isValidContentId(id) || packageService.isValidProductId(id)));
+  if (invalid.length > 0) {
+    return {
+      error: "Invalid identifier format. Must be either a valid content ID (UUID) or product ID",
+      invalid
+    };
+  }
+  return null;
+}
+
+/**
+ * Batch lookup - resolve many product IDs and content IDs in one request
+ * Product data is fetched from Display Catalog in bulk, packages are resolved with bounded concurrency
+ * Valid batches cost one request per id, rejected ones a single request
+ */
+router.post("/batch", requireScope('lookup'), rateLimit('requests', req => validateBatchIds(req.body?.ids) ? 1 : req.body.ids.length), async (req, res) => {
+  const ids = req.body?.ids;
+
+  const validationError = validateBatchIds(ids);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  const locale = parseLocale(req.body.market, req.body.lang);
+  if (locale.error) {
+    return res.status(400).json({ error: locale.error });
+  }
+
+  // Duplicates are resolved once, keeping the first spelling
+  const uniqueIds = ids.filter((id, index) =>
+    ids.findIndex(other => other.toUpperCase() === id.toUpperCase()) === index);
+
+  try {
+    const session = await accountPool.acquireAccount();
+    if (!session) {
+      return res.status(401).json({ 
+        error: "No usable Xbox Live account. Not authenticated or token refresh failed. Go to /msixvc/login first" 
+      });
+    }
+
+    // Content IDs of products resolved before get the product data too, for metadata
+    const contentIds = uniqueIds.filter(id => packageService.isValidContentId(id));
+    const productByContentId = contentIds.length > 0
+      ? await cacheService.getProductIdsForContentIds(contentIds).catch(err => {
+        console.error('Failed to map content IDs to products:', err);
+        return new Map();
+      })
+      : new Map();
+
+    const productIds = [...new Set([
+      ...uniqueIds.filter(id => !packageService.isValidContentId(id)),
+      ...productByContentId.values()
+    ].map(id => id.toUpperCase()))];
+    const { productsById, errors: productErrors } = productIds.length > 0
+      ? await catalogService.getProductsDataBatch(productIds, locale.market, locale.languages)
+      : { productsById: new Map(), errors: new Map() };
+
+    const context = { productsById, productErrors, productByContentId, locale, xsts: session.xsts, includeAuxFiles: req.body.includeAuxFiles === true, req };
+    const results = await lookupService.mapWithConcurrency(uniqueIds, CONFIG.batchConcurrency,
+      id => resolveBatchItem(id, context));
+
+    const succeeded = results.filter(r => r.ok).length;
+    const response = {
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      results
+    };
+
+    if (CONFIG.debugMode) {
+      response.debugInfo = {
+        account: session.account,
+        accessTokenRefreshed: session.accessTokenRefreshed,
+        xstsRefreshed: session.xstsRefreshed
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("Failed to resolve batch:", err);
+    res.status(500).json({ error: "Failed to resolve batch: " + err.message });
+  }
+});
+
+// Display Catalog product families searchable with ?type=
+const SEARCH_FAMILIES = {
+  games: "Games",
+  apps: "Apps",
+  all: "Games,Apps",
+};
+
+/**
+ * Validate the search query options
+ * @param {Object} query - Express query object
+ * @returns {{q: string, limit: number, resolve: number, productFamilies: string}|{error: string}} Options or validation error
+ */
+function parseSearchOptions(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) {
+    return { error: "Missing q parameter" };
+  }
+  if (q.length > 100) {
+    return { error: "q parameter too long, max is 100 characters" };
+  }
+
+  let limit = 10;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit <= 0) {
+      return { error: "Invalid limit parameter" };
+    } else if (limit > CONFIG.searchMaxResults) {
+      return { error: `Limit parameter too large, max is ${CONFIG.searchMaxResults}` };
+    }
+  }
+
+  let resolve = 0;
+  if (query.resolve !== undefined) {
+    resolve = parseInt(query.resolve, 10);
+    if (Number.isNaN(resolve) || resolve < 0) {
+      return { error: "Invalid resolve parameter" };
+    } else if (resolve > CONFIG.searchMaxResolve) {
+      return { error: `Resolve parameter too large, max is ${CONFIG.searchMaxResolve}` };
+    }
+  }
+
+  const productFamilies = SEARCH_FAMILIES[query.type === undefined ? 'all' : query.type];
+  if (!productFamilies) {
+    return { error: `Invalid type parameter, use one of: ${Object.keys(SEARCH_FAMILIES).join(', ')}` };
+  }
+
+  return { q, limit, resolve: Math.min(resolve, limit), productFamilies };
+}
+
+/**
+ * Search Display Catalog by name - returns matching products with their metadata, so callers can find product IDs.
+ * With ?resolve=N the package files of the top N hits are resolved like a batch lookup.
+ */
+router.get("/search", requireScope('lookup'), rateLimit('requests', req => 1 + (parseSearchOptions(req.query).resolve || 0)), async (req, res) => {
+  const options = parseSearchOptions(req.query);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+  const locale = parseLocale(req.query.market, req.query.lang);
+  if (locale.error) {
+    return res.status(400).json({ error: locale.error });
+  }
+
+  try {
+    const session = options.resolve > 0 ? await accountPool.acquireAccount() : null;
+    if (options.resolve > 0 && !session) {
+      return res.status(401).json({ 
+        error: "No usable Xbox Live account. Not authenticated or token refresh failed. Go to /msixvc/login first" 
+      });
+    }
+
+    const matches = (await packageService.searchProducts(options.q, locale.market, locale.languages, options.productFamilies))
+      .slice(0, options.limit);
+
+    // Autosuggest only has titles, the full product data gives the same metadata as a lookup
+    const { productsById, errors: productErrors } = matches.length > 0
+      ? await catalogService.getProductsDataBatch(matches.map(match => match.productId), locale.market, locale.languages)
+      : { productsById: new Map(), errors: new Map() };
+
+    let results = matches.map(match => {
+      const productsData = productsById.get(match.productId.toUpperCase());
+      const metadata = productsData ? packageService.extractMetadataFromProducts(productsData, locale) : null;
+      return {
+        productId: match.productId,
+        productFamily: match.productFamily,
+        title: metadata?.title || match.title,
+        publisher: metadata?.publisher || null,
+        metadata,
+      };
+    });
+
+    if (options.resolve > 0) {
+      const context = { productsById, productErrors, productByContentId: new Map(), locale, xsts: session.xsts, includeAuxFiles: req.query.includeAuxFiles === 'true', req };
+      const resolved = await lookupService.mapWithConcurrency(results.slice(0, options.resolve), CONFIG.batchConcurrency,
+        result => resolveBatchItem(result.productId, context));
+
+      results = results.map((result, index) => {
+        const entry = resolved[index];
+        if (!entry) return result;
+        return entry.ok
+          ? { ...result, contentId: entry.contentId, cached: entry.cached, files: entry.files }
+          : { ...result, resolveError: { status: entry.status, error: entry.error, retryAfter: entry.retryAfter } };
+      });
+    }
+
+    const response = {
+      query: options.q,
+      market: locale.market,
+      language: locale.language,
+      total: results.length,
+      results
+    };
+
+    if (CONFIG.debugMode && session) {
+      response.debugInfo = {
+        account: session.account,
+        accessTokenRefreshed: session.accessTokenRefreshed,
+        xstsRefreshed: session.xstsRefreshed
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("Failed to search Display Catalog:", err);
+    res.status(502).json({ error: "Failed to search Display Catalog: " + err.message });
+  }
+});
+
+/**
+ * Find a content ID among the packages of a product
+ * @param {Object|null} productsData - Products data from Display Catalog
+ * @param {string} contentId - Content ID, in any case
+ * @returns {string|null} The content ID as Display Catalog spells it, or null if the product doesn't ship it
+ */
+function findProductContentId(productsData, contentId) {
+  return packageService.extractPackagesFromProducts(productsData)
+    .find(pkg => pkg.contentId?.toLowerCase() === contentId.toLowerCase())?.contentId || null;
+}
+
+/**
+ * Find the product a content ID was last seen in and fetch its Display Catalog data
+ * @param {string} contentId - Content ID
+ * @param {Object} locale - Market and languages from parseLocale
+ * @returns {Promise<Object|null>} { productId, contentId, productsData, productsDataSource }, or null if unknown or no longer shipped
+ */
+async function findProductForContent(contentId, locale) {
+  try {
+    const productId = (await cacheService.getProductIdsForContentIds([contentId])).get(contentId.toLowerCase());
+    if (!productId) return null;
+
+    const { productsData, source } = await catalogService.getProductsData(productId, locale.market, locale.languages);
+    const productContentId = productsData && findProductContentId(productsData, contentId);
+    if (!productContentId) return null;
+
+    return { productId, contentId: productContentId, productsData, productsDataSource: source };
+  } catch (err) {
+    // The content ID can still be looked up on its own
+    console.error(`Failed to find the product of content ID ${contentId}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Resolve a lookup identifier (content ID or product ID) to the content ID of the requested package
+ * @param {string} identifier - Content ID or product ID
+ * @param {Object} options - Lookup options
+ * @param {Object} options.locale - Market and languages from parseLocale
+ * @param {string} [options.skuId] - SKU ID to pick a package from
+ * @param {string} [options.packageId] - Package ID or content ID to pick
+ * @returns {Promise<Object>} { contentId, isProductId, productId, productsData, productsDataSource, packages }, or { error: { status, body } } on failure.
+ * `productId` and `productsData` are null for content IDs of products not resolved before.
+ */
+async function resolveIdentifier(identifier, { locale, skuId, packageId }) {
+  const failure = (status, body) => ({ error: { status, body } });
+
   // Check if the identifier is a content ID or product ID
   if (packageService.isValidContentId(identifier)) {
-    // It's a content ID, use it directly
-    contentId = identifier;
+    // It's a content ID, use it directly - with the product data for metadata when the product shipping it is known
+    const product = await findProductForContent(identifier, locale);
+    return {
+      contentId: product?.contentId || identifier,
+      isProductId: false,
+      productId: product?.productId || null,
+      productsData: product?.productsData || null,
+      productsDataSource: product?.productsDataSource || null,
+      packages: []
+    };
   } else if (packageService.isValidProductId(identifier)) {
     // It's a product ID, convert it to content ID
-    isProductId = true;
     try {
       console.log(`Converting product ID ${identifier} to content ID...`);
       
-      // Fetch products data first (can be used for metadata later)
-      const productsData = await packageService.fetchProductsData(identifier);
+      // Fetch products data first (can be used for metadata later), from the product cache while it is fresh
+      const { productsData, source: productsDataSource } = await catalogService.getProductsData(identifier, locale.market, locale.languages);
       if (!productsData) {
-        return res.status(404).json({ 
+        return failure(404, { 
           error: "Could not fetch product data for the given product ID",
           productId: identifier
         });
       }
       
-      // Extract content ID from the products data
-      contentId = packageService.extractContentIdFromProducts(productsData);
+      // Extract content ID from the products data, the first package unless a SKU or package was requested
+      const packages = packageService.extractPackagesFromProducts(productsData);
+      let contentId;
+      if (skuId || packageId) {
+        contentId = packageService.selectPackage(packages, { skuId, packageId })?.contentId;
+        if (!contentId) {
+          return failure(404, { 
+            error: "No package matches the requested SKU or package",
+            productId: identifier,
+            packages
+          });
+        }
+      } else {
+        contentId = packageService.extractContentIdFromProducts(productsData);
+      }
       if (!contentId) {
-        return res.status(404).json({ 
+        return failure(404, { 
           error: "Could not find content ID for the given product ID",
           productId: identifier
         });
@@ -160,128 +815,192 @@ router.get("/:identifier", async (req, res) => {
       
       console.log(`Product ID ${identifier} converted to content ID: ${contentId}`);
       
-      // Store products data for potential metadata use
-      req.productsData = productsData;
+      // Products data is returned for metadata use
+      return { contentId, isProductId: true, productId: identifier, productsData, productsDataSource, packages };
     } catch (err) {
       console.error("Error converting product ID to content ID:", err);
-      return res.status(500).json({ 
+      return failure(500, { 
         error: "Failed to convert product ID to content ID: " + err.message,
         productId: identifier
       });
     }
-  } else {
-    return res.status(400).json({ 
-      error: "Invalid identifier format. Must be either a valid content ID (UUID) or product ID" 
+  }
+
+  return failure(400, { 
+    error: "Invalid identifier format. Must be either a valid content ID (UUID) or product ID" 
+  });
+}
+
+// Download jobs - queue a server-side download of every file of a package, with size checks
+router.post('/jobs', requireScope('admin'), async (req, res) => {
+  const { id: identifier, sku: skuId, package: packageId } = req.body || {};
+  if (typeof identifier !== 'string' || !identifier) {
+    return res.status(400).json({ error: "Request body must contain an `id` (product ID or content ID)" });
+  }
+
+  const locale = parseLocale(req.body.market, req.body.lang);
+  if (locale.error) {
+    return res.status(400).json({ error: locale.error });
+  }
+
+  const target = await resolveIdentifier(identifier, { locale, skuId, packageId });
+  if (target.error) {
+    return res.status(target.error.status).json(target.error.body);
+  }
+
+  try {
+    const job = await downloadJobService.createJob({
+      identifier,
+      productId: target.productId,
+      contentId: target.contentId,
+      market: locale.market
     });
+    res.status(202).json({ job, statusUrl: `${req.baseUrl}/jobs/${job.id}` });
+  } catch (err) {
+    console.error('Error creating download job:', err);
+    res.status(500).json({ error: 'Failed to create download job' });
+  }
+});
+
+router.get('/jobs', requireScope('admin'), async (req, res) => {
+  let limit = 20;
+  if (req.query.limit) {
+    limit = parseInt(req.query.limit, 10);
+    if (Number.isNaN(limit) || limit <= 0 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit parameter, must be between 1 and 100' });
+    }
+  }
+
+  try {
+    res.json({ jobs: await downloadJobService.listJobs(limit) });
+  } catch (err) {
+    console.error('Error listing download jobs:', err);
+    res.status(500).json({ error: 'Failed to list download jobs' });
+  }
+});
+
+router.get('/jobs/:jobId', requireScope('admin'), async (req, res) => {
+  const jobId = parseInt(req.params.jobId, 10);
+  if (Number.isNaN(jobId)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  try {
+    const job = await downloadJobService.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Download job not found' });
+    }
+    res.json({ job });
+  } catch (err) {
+    console.error('Error reading download job:', err);
+    res.status(500).json({ error: 'Failed to read download job' });
+  }
+});
+
+/**
+ * Fetch package information for a given content ID or product ID
+ * For product IDs, `sku` and `package` pick a specific package and `packages=all` resolves the files of every package,
+ * `market` and `lang` choose the Display Catalog region and metadata language, `probeMirrors=true` orders the CDN mirrors by speed.
+ * `includeAuxFiles=true` also lists the .phf/.xsp hash-table files, `format` (or `Accept`) returns an aria2, Metalink, curl or CSV download manifest instead of JSON
+ */
+router.get("/:identifier", requireScope('lookup'), rateLimit('requests'), async (req, res) => {
+  const identifier = req.params.identifier;
+  const { sku: skuId, package: packageId, packages: packagesMode } = req.query;
+  const locale = parseLocale(req.query.market, req.query.lang);
+  if (locale.error) {
+    return res.status(400).json({ error: locale.error });
   }
+  if (packagesMode !== undefined && packagesMode !== 'all') {
+    return res.status(400).json({ error: "Invalid packages parameter, only `all` is supported" });
+  }
+  const probeMirrors = req.query.probeMirrors === 'true';
+  const includeAuxFiles = req.query.includeAuxFiles === 'true';
+  const { format, error: formatError } = exportService.negotiateFormat(req);
+  if (formatError) {
+    return res.status(400).json({ error: formatError });
+  }
+  
+  const target = await resolveIdentifier(identifier, { locale, skuId, packageId });
+  if (target.error) {
+    return res.status(target.error.status).json(target.error.body);
+  }
+
+  const { contentId, isProductId, productId, productsData } = target;
+  let packages = target.packages;
 
   try {
-    // Refresh tokens if needed (handles both access token and refresh token logic)
-    let tokens = await tokenService.refreshTokensIfNeeded();
-    if (!tokens) {
+    // Pick a healthy account, refreshing its access token and Xbox Live tokens if needed
+    const session = await accountPool.acquireAccount();
+    if (!session) {
       return res.status(401).json({ 
-        error: "Not authenticated or token refresh failed. Go to /msixvc/login first" 
+        error: "No usable Xbox Live account. Not authenticated or token refresh failed. Go to /msixvc/login first" 
       });
     }
 
-    const accessTokenRefreshed = tokens.refreshed === true;
+    const { xsts, accessTokenRefreshed, xstsRefreshed } = session;
 
-    // Check if we already have valid Xbox Live tokens, if not re-authenticate
-    let xsts = tokens.xsts;
-    let xstsRefreshed = false;
-    if (!xsts || tokenService.needsXboxTokenRefresh(xsts)) {
-      console.log("Xbox Live tokens expired, re-authenticating...");
-      try {
-        const authResult = await authService.authenticateXboxLive(tokens.access_token);
-        tokens.userToken = authResult.userToken;
-        tokens.xsts = authResult.xsts;
-        xsts = authResult.xsts;
-        xstsRefreshed = true;
-        tokenService.saveTokens(tokens);
-      } catch (authError) {
-        console.error("Xbox Live re-authentication failed:", authError);
-        return res.status(401).json({ 
-          error: "Xbox Live authentication failed. Please re-authenticate at /msixvc/login" 
-        });
-      }
+    const lastModifiedDate = productsData?.Products?.[0]?.LastModifiedDate || null;
+    // Always extract fresh metadata since we already have the products data
+    const metadata = productsData ? packageService.extractMetadataFromProducts(productsData, locale) : null;
+
+    const { files, usingCachedData, blocked } = await lookupService.resolveFiles({
+      productId,
+      contentId,
+      lastModifiedDate,
+      market: locale.market,
+      metadata,
+      xsts,
+      includeAuxFiles,
+      // Calls reaching the package service count against the stricter upstream budget
+      beforeUpstreamFetch: () => consumeRateLimit(req, res, 'upstream')
+    });
+    if (blocked) return;
+    if (!files) {
+      return res.status(404).json({ error: "Package not found" });
     }
 
-    let files, metadata;
-    let usingCachedData = false;
-    
-    // Check cache first if using product ID
-    if (isProductId && req.productsData?.Products?.[0]?.LastModifiedDate) {
-      const lastModifiedDate = req.productsData.Products[0].LastModifiedDate;
-      
-      try {
-        const cachedData = await cacheService.getCachedPackageData(identifier, lastModifiedDate);
-        
-        if (cachedData) {
-          // Use cached data
-          console.log(`Using cached data for product ID: ${identifier}`);
-          usingCachedData = true;
-          files = cachedData.files;
-          // Always extract fresh metadata since we already have the products data
-          metadata = packageService.extractMetadataFromProducts(req.productsData);
-        } else {
-          // Cache miss or expired - fetch fresh data
-          console.log(`Cache miss for product ID: ${identifier}, fetching fresh data`);
-          files = await packageService.fetchPackageInfo(contentId, xsts);
-          if (!files) {
-            return res.status(404).json({ error: "Package not found" });
-          }
-          
-          // Extract metadata
-          metadata = packageService.extractMetadataFromProducts(req.productsData);
-          
-          // Cache only the files (expensive part)
-          try {
-            await cacheService.cachePackageData(identifier, contentId, lastModifiedDate, files);
-          } catch (cacheErr) {
-            console.error('Failed to cache data:', cacheErr);
-            // Continue anyway - caching failure shouldn't break the request
-          }
-        }
-      } catch (cacheErr) {
-        console.error('Cache error, falling back to direct fetch:', cacheErr);
-        // Fall back to direct fetch if cache fails
-        files = await packageService.fetchPackageInfo(contentId, xsts);
-        if (!files) {
-          return res.status(404).json({ error: "Package not found" });
-        }
-        metadata = packageService.extractMetadataFromProducts(req.productsData);
-      }
-    } else {
-      // Direct content ID request or no lastModifiedDate - no caching
-      files = await packageService.fetchPackageInfo(contentId, xsts);
-      if (!files) {
-        return res.status(404).json({ error: "Package not found" });
-      }
-      
-      if (isProductId) {
-        metadata = packageService.extractMetadataFromProducts(req.productsData);
-      }
+    if (isProductId && packagesMode === 'all') {
+      packages = await resolveAllPackages(packages, { productId, lastModifiedDate, market: locale.market, metadata, xsts, includeAuxFiles, req });
     }
 
     // Prepare response object
     const response = { contentId };
     
-    if (isProductId) {
-      response.productId = identifier;
+    if (productId) {
+      response.productId = productId;
       if (metadata) {
         response.metadata = metadata;
       }
     }
+    if (isProductId) {
+      response.packages = packages;
+    }
 
     if (CONFIG.debugMode) {
       response.debugInfo = {
+        account: session.account,
         usingCachedData,
+        productsDataSource: target.productsDataSource,
         accessTokenRefreshed,
         xstsRefreshed
       };
     }
     
-    response.files = files;
+    if (probeMirrors) {
+      // Order each file's mirrors best first; probe results are remembered for MIRROR_PROBE_TTL
+      const ranked = await mirrorProbeService.rankFileMirrors(files);
+      response.files = ranked.files;
+      response.mirrorProbes = ranked.probes;
+    } else {
+      response.files = files;
+    }
+
+    if (format !== 'json') {
+      // Download manifests are built from the same files the JSON response would list
+      const manifest = exportService.renderManifest(format, response.files, response.productId || contentId);
+      res.attachment(manifest.fileName);
+      return res.type(manifest.contentType).send(manifest.body);
+    }
     
     res.json(response);
   } catch (err) {
@@ -290,4 +1009,183 @@ router.get("/:identifier", async (req, res) => {
   }
 });
 
+// Upstream headers forwarded with proxied files
+const FORWARDED_FILE_HEADERS = ['content-length', 'content-range', 'content-type', 'last-modified', 'etag'];
+
+/**
+ * Stream a package file through the server - supports Range, HEAD and resumable downloads
+ * Accepts the same `sku`, `package`, `market` and `lang` options as the lookup endpoint
+ */
+router.get("/:identifier/files/:fileName", requireScope('lookup'), rateLimit('requests'), async (req, res) => {
+  const { identifier, fileName } = req.params;
+  const locale = parseLocale(req.query.market, req.query.lang);
+  if (locale.error) {
+    return res.status(400).json({ error: locale.error });
+  }
+
+  const target = await resolveIdentifier(identifier, { locale, skuId: req.query.sku, packageId: req.query.package });
+  if (target.error) {
+    return res.status(target.error.status).json(target.error.body);
+  }
+
+  const { contentId, productId, productsData } = target;
+
+  // Stop the CDN download when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const session = await accountPool.acquireAccount();
+    if (!session) {
+      return res.status(401).json({ 
+        error: "No usable Xbox Live account. Not authenticated or token refresh failed. Go to /msixvc/login first" 
+      });
+    }
+
+    const { files, blocked } = await lookupService.resolveFiles({
+      productId,
+      contentId,
+      lastModifiedDate: productsData?.Products?.[0]?.LastModifiedDate || null,
+      market: locale.market,
+      metadata: productsData ? packageService.extractMetadataFromProducts(productsData, locale) : null,
+      xsts: session.xsts,
+      // Side files can be proxied too, so downloads can be checked against them
+      includeAuxFiles: true,
+      beforeUpstreamFetch: () => consumeRateLimit(req, res, 'upstream')
+    });
+    if (blocked) return;
+    if (!files) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+
+    const file = files.find(f => f.fileName === fileName) ||
+      files.find(f => f.fileName.toLowerCase() === fileName.toLowerCase());
+    if (!file) {
+      return res.status(404).json({ error: "File not found in package", fileName });
+    }
+
+    const upstream = await downloadService.openFile({
+      file,
+      contentId,
+      xsts: session.xsts,
+      method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+      range: req.headers.range,
+      signal: controller.signal
+    });
+    if (!upstream) {
+      return res.status(502).json({ error: "No CDN could serve the file", fileName: file.fileName });
+    }
+
+    const { response } = upstream;
+    res.status(response.status);
+    for (const header of FORWARDED_FILE_HEADERS) {
+      const value = response.headers.get(header);
+      if (value) res.set(header, value);
+    }
+    if (response.status === 200 && !response.headers.get('content-length') && file.size) {
+      res.set('Content-Length', String(file.size));
+    }
+    res.set('Accept-Ranges', 'bytes');
+    // Only the file name, res.attachment() would replace the forwarded Content-Type with one guessed from the extension
+    res.set('Content-Disposition', contentDisposition(file.fileName));
+
+    if (req.method === 'HEAD' || !response.body) {
+      return res.end();
+    }
+
+    // Headers are already sent, so a failing CDN mid-stream just ends the response; clients resume with Range
+    Readable.fromWeb(response.body)
+      .on('error', (err) => {
+        if (!controller.signal.aborted) console.error(`Streaming ${file.fileName} failed:`, err.message);
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error("Failed to stream package file:", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Failed to stream package file: " + err.message });
+  }
+});
+
+/**
+ * Load the version timeline of a cached product, validating the shared `market` and `includeAuxFiles` options
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { productId, market, timeline }, or { error: { status, body } } on failure
+ */
+async function loadVersionTimeline(req) {
+  const failure = (status, body) => ({ error: { status, body } });
+  const productId = req.params.identifier;
+
+  if (!CONFIG.cacheHistory) {
+    return failure(403, { error: 'Cache history is disabled' });
+  }
+  if (!packageService.isValidProductId(productId)) {
+    return failure(400, { error: "Invalid product ID, versions are only tracked for product lookups" });
+  }
+
+  const locale = parseLocale(req.query.market, undefined);
+  if (locale.error) {
+    return failure(400, { error: locale.error });
+  }
+
+  const rows = await cacheService.getProductHistory(productId, locale.market);
+  const timeline = versionService.buildTimeline(rows, { includeAuxFiles: req.query.includeAuxFiles === 'true' });
+  if (timeline.length === 0) {
+    return failure(404, { error: "No cached versions for this product", productId, market: locale.market });
+  }
+
+  return { productId: productId.toUpperCase(), market: locale.market, timeline };
+}
+
+// Version timeline - every distinct LastModifiedDate seen for a product, with its files
+router.get('/:identifier/versions', requireScope('history'), async (req, res) => {
+  try {
+    const result = await loadVersionTimeline(req);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    res.json({ productId: result.productId, market: result.market, versions: result.timeline });
+  } catch (err) {
+    console.error('Error reading version timeline:', err);
+    res.status(500).json({ error: 'Failed to read version timeline' });
+  }
+});
+
+// Version diff - added, removed and resized files between two versions (default: the latest two)
+router.get('/:identifier/versions/diff', requireScope('history'), async (req, res) => {
+  try {
+    const result = await loadVersionTimeline(req);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    const { productId, market, timeline } = result;
+    const { from: fromDate, to: toDate } = req.query;
+
+    const to = toDate ? versionService.findSnapshot(timeline, toDate) : timeline[0];
+    const from = fromDate
+      ? versionService.findSnapshot(timeline, fromDate)
+      : timeline[timeline.indexOf(to) + 1];
+
+    if (!to || (fromDate && !from)) {
+      return res.status(404).json({
+        error: "Version not found",
+        versions: timeline.map(snapshot => snapshot.lastModifiedDate)
+      });
+    }
+    if (!from) {
+      return res.status(404).json({ error: "No earlier cached version to compare with", productId, market });
+    }
+
+    res.json({ productId, market, ...versionService.diffSnapshots(from, to) });
+  } catch (err) {
+    console.error('Error diffing versions:', err);
+    res.status(500).json({ error: 'Failed to diff versions' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,178 @@
+const express = require("express");
+const watchService = require("../services/watchService");
+const watchPoller = require("../services/watchPoller");
+const cacheService = require("../services/cacheService");
+const packageService = require("../services/packageService");
+const locales = require("../services/locales");
+const { requireScope } = require("../middleware/authMiddleware");
+const CONFIG = require("../config");
+
+const router = express.Router();
+
+// Every watch endpoint is admin only
+router.use(requireScope('admin'));
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} ID or null if invalid
+ */
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) || id <= 0 ? null : id;
+}
+
+/**
+ * Refuse to create or check watches while webhooks couldn't be signed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireWebhookSecret(req, res, next) {
+  if (!CONFIG.webhookSecret) {
+    return res.status(503).json({ error: 'WEBHOOK_SECRET is not set, webhooks are only sent signed' });
+  }
+  next();
+}
+
+/**
+ * List watches and the poller status
+ */
+router.get("/", async (req, res) => {
+  try {
+    const watches = await watchService.listWatches();
+    res.json({ poller: watchPoller.getStatus(), watches });
+  } catch (err) {
+    console.error('Error listing watches:', err);
+    res.status(500).json({ error: 'Failed to list watches' });
+  }
+});
+
+/**
+ * Watch a product - webhooks are sent when its LastModifiedDate moves past the cached version
+ */
+router.post("/", requireWebhookSecret, async (req, res) => {
+  const { productId, market: marketParam, webhookUrls, label = null } = req.body || {};
+
+  if (typeof productId !== 'string' || !packageService.isValidProductId(productId)) {
+    return res.status(400).json({ error: 'Missing or invalid productId' });
+  }
+
+  const market = marketParam === undefined ? CONFIG.defaultMarket : locales.normalizeMarket(marketParam);
+  if (!market) {
+    return res.status(400).json({ error: 'Invalid market, must be a known two-letter market code such as US or GB' });
+  }
+
+  if (!Array.isArray(webhookUrls) || webhookUrls.length === 0 || !webhookUrls.every(url => watchService.isValidWebhookUrl(url))) {
+    return res.status(400).json({ error: 'webhookUrls must be a non-empty array of http(s) URLs' });
+  }
+
+  if (label !== null && (typeof label !== 'string' || label.length > 100)) {
+    return res.status(400).json({ error: 'Invalid label (max 100 characters)' });
+  }
+
+  try {
+    // Start from the newest cached version, or from whatever the first poll sees
+    const rows = await cacheService.getProductHistory(productId, market);
+    const lastModifiedDate = rows
+      .map(row => row.last_modified_date)
+      .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+    const watch = await watchService.createWatch({
+      productId,
+      market,
+      webhookUrls: [...new Set(webhookUrls)],
+      label,
+      lastModifiedDate
+    });
+    res.status(201).json(watch);
+  } catch (err) {
+    console.error('Error creating watch:', err);
+    res.status(500).json({ error: 'Failed to create watch' });
+  }
+});
+
+/**
+ * Check every watched product now and send due webhooks
+ */
+router.post("/check", requireWebhookSecret, async (req, res) => {
+  try {
+    const ran = await watchPoller.runOnce({ force: true });
+    if (!ran) {
+      return res.status(409).json({ error: 'A check is already running' });
+    }
+    res.json({ poller: watchPoller.getStatus(), watches: await watchService.listWatches() });
+  } catch (err) {
+    console.error('Error checking watches:', err);
+    res.status(500).json({ error: 'Failed to check watches' });
+  }
+});
+
+/**
+ * Get a watch
+ */
+router.get("/:id", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid watch ID' });
+  }
+
+  try {
+    const watch = await watchService.getWatch(id);
+    if (!watch) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json(watch);
+  } catch (err) {
+    console.error('Error reading watch:', err);
+    res.status(500).json({ error: 'Failed to read watch' });
+  }
+});
+
+/**
+ * Delivery log of a watch, newest first
+ */
+router.get("/:id/deliveries", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid watch ID' });
+  }
+
+  let limit = 20;
+  if (req.query.limit) {
+    limit = parseInt(req.query.limit, 10);
+    if (Number.isNaN(limit) || limit <= 0 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit parameter, must be between 1 and 100' });
+    }
+  }
+
+  try {
+    res.json({ deliveries: await watchService.listDeliveries(id, limit) });
+  } catch (err) {
+    console.error('Error listing deliveries:', err);
+    res.status(500).json({ error: 'Failed to list deliveries' });
+  }
+});
+
+/**
+ * Delete a watch (its delivery log is kept)
+ */
+router.delete("/:id", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid watch ID' });
+  }
+
+  try {
+    const deleted = await watchService.deleteWatch(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json({ id, deleted: true });
+  } catch (err) {
+    console.error('Error deleting watch:', err);
+    res.status(500).json({ error: 'Failed to delete watch' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Database schema migrations from the command line
+ *
+ *   node scripts/migrate.js status      Show the schema version and pending migrations
+ *   node scripts/migrate.js up          Apply pending migrations (the server also does this on startup)
+ *   node scripts/migrate.js up --dry-run
+ *                                       Apply pending migrations in a transaction and roll it back
+ */
+require('dotenv').config({ quiet: true });
+const database = require("../services/database");
+const migrations = require("../services/migrations");
+
+/**
+ * Print the schema status
+ */
+async function printStatus() {
+  const status = await migrations.getStatus();
+  console.log(`Database: ${database.path}`);
+  console.log(`Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+  for (const migration of status.applied) {
+    console.log(`  applied  ${migration.version} ${migration.name} (${migration.appliedAt})`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  pending  ${migration.version} ${migration.name}`);
+  }
+}
+
+/**
+ * Run the command given on the command line
+ */
+async function main() {
+  const [command = "status", ...flags] = process.argv.slice(2);
+
+  if (command === "status") {
+    await printStatus();
+  } else if (command === "up") {
+    const dryRun = flags.includes("--dry-run");
+    const result = await migrations.migrate({ dryRun });
+    if (result.applied.length === 0) {
+      console.log(`Schema is up to date (version ${result.from})`);
+    } else {
+      const names = result.applied.map(migration => `${migration.version} ${migration.name}`).join(", ");
+      console.log(dryRun
+        ? `Dry run: would migrate from version ${result.from} to ${result.to} (${names}), rolled back`
+        : `Migrated from version ${result.from} to ${result.to}`);
+    }
+  } else {
+    console.error("Usage: node scripts/migrate.js [status | up [--dry-run]]");
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const database = require('./database');
+const migrations = require('./migrations');
+
+const KEY_PREFIX = 'msx_';
+const SCOPES = ['lookup', 'history', 'admin'];
+
+class ApiKeyService {
+  constructor() {
+    this.scopes = SCOPES;
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} key - Plaintext API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Check that every scope is known
+   * @param {Array<string>} scopes - Scopes to validate
+   * @returns {boolean} True if scopes is a non-empty array of known scopes
+   */
+  isValidScopeList(scopes) {
+    return Array.isArray(scopes) && scopes.length > 0 && scopes.every(scope => SCOPES.includes(scope));
+  }
+
+  /**
+   * Format a database row for API responses (never includes the hash)
+   * @param {Object} row - api_keys row
+   * @returns {Object} Public key description
+   */
+  formatKey(row) {
+    return {
+      id: row.id,
+      label: row.label,
+      keyPrefix: row.key_prefix,
+      scopes: row.scopes.split(','),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+
+  /**
+   * Create a new API key
+   * @param {string} label - Human readable label
+   * @param {Array<string>} scopes - Granted scopes (lookup, history, admin)
+   * @param {string|null} expiresAt - Optional ISO expiry date
+   * @returns {Promise<Object>} Key description including the plaintext key, which is not stored
+   */
+  async createKey(label, scopes, expiresAt = null) {
+    await migrations.ready();
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const keyPrefix = key.substring(0, KEY_PREFIX.length + 6);
+
+    const { lastID } = await database.run(
+      `INSERT INTO api_keys (label, key_prefix, key_hash, scopes, expires_at) VALUES (?, ?, ?, ?, ?)`,
+      [label, keyPrefix, this.hashKey(key), scopes.join(','), expiresAt]
+    );
+
+    const row = await database.get(`SELECT * FROM api_keys WHERE id = ?`, [lastID]);
+    console.log(`Created API key ${lastID} (${label})`);
+    return { ...this.formatKey(row), key };
+  }
+
+  /**
+   * List all API keys, including revoked and expired ones
+   * @returns {Promise<Array>} Public key descriptions
+   */
+  async listKeys() {
+    await migrations.ready();
+    const rows = await database.all(`SELECT * FROM api_keys ORDER BY created_at DESC, id DESC`);
+    return rows.map(row => this.formatKey(row));
+  }
+
+  /**
+   * Revoke an API key
+   * @param {number} id - Key ID
+   * @returns {Promise<boolean>} True if a key was revoked
+   */
+  async revokeKey(id) {
+    await migrations.ready();
+    const { changes } = await database.run(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL`,
+      [id]
+    );
+    if (changes > 0) console.log(`Revoked API key ${id}`);
+    return changes > 0;
+  }
+
+  /**
+   * Look up a presented API key
+   * @param {string} key - Plaintext API key from the request
+   * @returns {Promise<Object|null>} Public key description or null if unknown, revoked or expired
+   */
+  async verifyKey(key) {
+    await migrations.ready();
+    const row = await database.get(`SELECT * FROM api_keys WHERE key_hash = ?`, [this.hashKey(key)]);
+    if (!row || row.revoked_at) return null;
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+    // Usage tracking shouldn't hold up the request
+    database.run(`UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id])
+      .catch(err => console.error('Error updating API key usage:', err));
+
+    return this.formatKey(row);
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
@@ -0,0 +1,75 @@
+const fs = require('fs').promises;
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+const CONFIG = require('../../config');
+
+/**
+ * Cache storage in memory, saved to a JSON file (CONFIG.cacheJsonPath) after every write.
+ * Meant for small deployments without SQLite, every write rewrites the whole file.
+ */
+class JsonFileBackend extends MemoryBackend {
+  constructor() {
+    super();
+    this.name = 'json';
+    this.path = path.resolve(process.cwd(), CONFIG.cacheJsonPath);
+    this.saving = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Load the JSON file, starting empty if it doesn't exist yet
+   */
+  async init() {
+    try {
+      this.restore(JSON.parse(await fs.readFile(this.path, 'utf8')));
+      console.log(`Cache loaded from ${this.path}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error loading cache file:', err);
+        throw err;
+      }
+      console.log(`Cache file ${this.path} will be created on the first write`);
+    }
+  }
+
+  /**
+   * Save after every write. Writes arriving during a save are coalesced into one more save.
+   * @returns {Promise<void>} Resolves once the data is on disk
+   */
+  async changed() {
+    if (this.saving) {
+      this.dirty = true;
+      return this.saving;
+    }
+
+    this.saving = (async () => {
+      do {
+        this.dirty = false;
+        // Write and rename, so a crash never leaves a half-written file behind
+        const temporaryPath = `${this.path}.tmp`;
+        await fs.writeFile(temporaryPath, JSON.stringify(this.serialize()));
+        await fs.rename(temporaryPath, this.path);
+      } while (this.dirty);
+    })().finally(() => {
+      this.saving = null;
+    });
+
+    return this.saving;
+  }
+
+  /**
+   * Row counts and the size of the JSON file
+   * @returns {Promise<Object>} Statistics, see CacheService.getStats
+   */
+  async getStats() {
+    const stats = await super.getStats();
+    try {
+      stats.size = (await fs.stat(this.path)).size;
+    } catch (err) {
+      stats.size = 0;
+    }
+    return stats;
+  }
+}
+
+module.exports = JsonFileBackend;
@@ -0,0 +1,335 @@
+/**
+ * SQLite CURRENT_TIMESTAMP format (UTC, no zone designator), so rows look the same from every backend
+ * @param {number} time - Time in milliseconds
+ * @returns {string} Timestamp such as "2024-01-31 12:00:00"
+ */
+function toTimestamp(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Order rows by a column and then id
+ * @param {string} column - Column name
+ * @param {string} order - "asc" or "desc"
+ * @returns {Function} Comparator
+ */
+function byColumn(column, order) {
+  const sign = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    if (a[column] !== b[column]) return (a[column] < b[column] ? -1 : 1) * sign;
+    return (a.id - b.id) * sign;
+  };
+}
+
+/**
+ * Cache storage in process memory, lost on restart. Rows have the same columns as the SQLite tables.
+ * Product IDs are passed upper-cased and content cache keys lower-cased by CacheService.
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.packages = [];
+    this.nextId = 1;
+    this.products = new Map();
+    this.contents = new Map();
+    this.contentProducts = new Map();
+  }
+
+  /**
+   * Nothing to set up in memory
+   */
+  async init() {}
+
+  /**
+   * Called after every write, backends persisting the data hook in here
+   */
+  async changed() {}
+
+  /**
+   * Everything stored, as plain JSON-friendly data
+   * @returns {Object} Snapshot
+   */
+  serialize() {
+    return {
+      nextId: this.nextId,
+      packages: this.packages,
+      products: [...this.products],
+      contents: [...this.contents],
+      contentProducts: [...this.contentProducts],
+    };
+  }
+
+  /**
+   * Replace everything stored with a snapshot from serialize
+   * @param {Object} snapshot - Snapshot
+   */
+  restore(snapshot) {
+    this.nextId = snapshot.nextId || 1;
+    this.packages = snapshot.packages || [];
+    this.products = new Map(snapshot.products || []);
+    this.contents = new Map(snapshot.contents || []);
+    this.contentProducts = new Map(snapshot.contentProducts || []);
+  }
+
+  /**
+   * Most recently cached package row of a product in a market, optionally of one package
+   */
+  async getLatestPackage(productId, market, contentId = null) {
+    const row = this.packages
+      .filter(r => r.product_id === productId && r.market === market && (!contentId || r.content_id === contentId))
+      .sort(byColumn('cached_at', 'desc'))[0];
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Most recently cached package row of a content ID, in any case
+   */
+  async getLatestPackageByContent(contentId) {
+    const id = contentId.toLowerCase();
+    const row = this.packages
+      .filter(r => r.content_id.toLowerCase() === id)
+      .sort(byColumn('cached_at', 'desc'))[0];
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Store a package row, replacing earlier rows of the same package and market if asked;
+   * otherwise a row of the same version is updated in place, see SqliteBackend.insertPackage
+   */
+  async insertPackage(row, replace) {
+    const samePackage = r => r.product_id === row.product_id && r.content_id === row.content_id && r.market === row.market;
+    if (replace) {
+      this.packages = this.packages.filter(r => !samePackage(r));
+    } else {
+      const sameVersion = this.packages.filter(r => samePackage(r) && r.last_modified_date === row.last_modified_date);
+      if (sameVersion.length > 0) {
+        sameVersion.forEach(r => Object.assign(r, { files_data: row.files_data, metadata: row.metadata }));
+        await this.changed();
+        return;
+      }
+    }
+    this.packages.push({ ...row, id: this.nextId++, cached_at: toTimestamp(Date.now()) });
+    await this.changed();
+  }
+
+  /**
+   * Query package rows, see CacheService.getCacheHistory for the options
+   */
+  async queryPackages(limit, { productIds, market, since, until, distinct, sort, order, after }) {
+    let rows = this.packages.filter(r =>
+      (!productIds?.length || productIds.includes(r.product_id)) &&
+      (!market || r.market === market) &&
+      (!since || r.cached_at >= since) &&
+      (!until || r.cached_at < until));
+
+    if (distinct) {
+      // Latest is the most recently cached row (updates in place keep their cached_at), id breaks ties within a second
+      const newestFirst = byColumn('cached_at', 'desc');
+      const latest = new Map();
+      for (const r of this.packages) {
+        const key = `${r.product_id}|${r.market}`;
+        if (!latest.has(key) || newestFirst(r, latest.get(key)) < 0) latest.set(key, r);
+      }
+      rows = rows.filter(r => latest.get(`${r.product_id}|${r.market}`) === r);
+    }
+
+    if (after) {
+      const compare = byColumn(sort, order);
+      rows = rows.filter(r => compare(r, { [sort]: after.value, id: after.id }) > 0);
+    }
+
+    return rows.sort(byColumn(sort, order)).slice(0, limit).map(r => ({ ...r }));
+  }
+
+  /**
+   * Every package row of a product in a market, most recent first
+   */
+  async getProductPackages(productId, market) {
+    return this.packages
+      .filter(r => r.product_id === productId && r.market === market)
+      .sort(byColumn('cached_at', 'desc'))
+      .map(r => ({ ...r }));
+  }
+
+  /**
+   * Cached Display Catalog response
+   */
+  async getProductData(productId, market, languages) {
+    return this.products.get(`${productId}|${market}|${languages}`) || null;
+  }
+
+  /**
+   * Store a Display Catalog response, replacing the previous one
+   */
+  async setProductData(productId, market, languages, productsData, fetchedAt) {
+    this.products.set(`${productId}|${market}|${languages}`, {
+      product_id: productId,
+      market,
+      products_data: productsData,
+      fetched_at: fetchedAt,
+    });
+    await this.changed();
+  }
+
+  /**
+   * Cached files of a content ID looked up directly
+   */
+  async getContentFiles(contentId) {
+    return this.contents.get(contentId) || null;
+  }
+
+  /**
+   * Store the files of a content ID looked up directly
+   */
+  async setContentFiles(contentId, filesData, cachedAt) {
+    this.contents.set(contentId, { files_data: filesData, cached_at: cachedAt });
+    await this.changed();
+  }
+
+  /**
+   * Map content IDs to the product shipping them
+   */
+  async mapContentIds(productId, contentIds, mappedAt) {
+    for (const contentId of contentIds) {
+      this.contentProducts.set(contentId, { product_id: productId, mapped_at: mappedAt });
+    }
+    await this.changed();
+  }
+
+  /**
+   * Products known to ship the given content IDs
+   */
+  async getProductIdsForContentIds(contentIds) {
+    return new Map(contentIds
+      .filter(id => this.contentProducts.has(id))
+      .map(id => [id, this.contentProducts.get(id).product_id]));
+  }
+
+  /**
+   * Row counts and the size of the data as JSON
+   */
+  async getStats() {
+    const cachedAt = this.packages.map(r => r.cached_at).sort();
+    return {
+      packageRows: this.packages.length,
+      products: new Set(this.packages.map(r => r.product_id)).size,
+      contentIds: new Set(this.packages.map(r => r.content_id)).size,
+      oldestCachedAt: cachedAt[0] || null,
+      newestCachedAt: cachedAt[cachedAt.length - 1] || null,
+      contentRows: this.contents.size,
+      productRows: this.products.size,
+      contentMappings: this.contentProducts.size,
+      size: Buffer.byteLength(JSON.stringify(this.serialize())),
+      freeSize: null,
+    };
+  }
+
+  /**
+   * Delete the package rows, Display Catalog data and content ID mappings of a product
+   */
+  async deleteProduct(productId, market) {
+    const matches = (r) => r.product_id === productId && (!market || r.market === market);
+
+    const packageRows = this.packages.filter(matches).length;
+    this.packages = this.packages.filter(r => !matches(r));
+
+    let productRows = 0;
+    for (const [key, entry] of this.products) {
+      if (matches(entry)) {
+        this.products.delete(key);
+        productRows++;
+      }
+    }
+
+    // Mappings aren't per market, they only go with the whole product
+    let contentMappings = 0;
+    if (!market) {
+      for (const [contentId, mapping] of this.contentProducts) {
+        if (mapping.product_id === productId) {
+          this.contentProducts.delete(contentId);
+          contentMappings++;
+        }
+      }
+    }
+
+    await this.changed();
+    return { packageRows, productRows, contentMappings };
+  }
+
+  /**
+   * Delete the package rows and content cache entry of a content ID
+   */
+  async deleteContent(contentId) {
+    const id = contentId.toLowerCase();
+    const before = this.packages.length;
+    this.packages = this.packages.filter(r => r.content_id.toLowerCase() !== id);
+    const contentRows = this.contents.delete(id) ? 1 : 0;
+
+    await this.changed();
+    return { packageRows: before - this.packages.length, contentRows };
+  }
+
+  /**
+   * Delete package rows cached more than some days ago
+   */
+  async deletePackagesOlderThan(daysOld) {
+    const cutoff = toTimestamp(Date.now() - daysOld * 24 * 60 * 60 * 1000);
+    const before = this.packages.length;
+    this.packages = this.packages.filter(r => r.cached_at >= cutoff);
+
+    await this.changed();
+    return before - this.packages.length;
+  }
+
+  /**
+   * Keep only the newest rows of each package of a product and market
+   */
+  async trimHistory(maxHistory) {
+    const kept = new Map();
+    const before = this.packages.length;
+    this.packages = [...this.packages].sort(byColumn('cached_at', 'desc')).filter(r => {
+      const key = `${r.product_id}|${r.content_id}|${r.market}`;
+      kept.set(key, (kept.get(key) || 0) + 1);
+      return kept.get(key) <= maxHistory;
+    }).sort((a, b) => a.id - b.id);
+
+    await this.changed();
+    return before - this.packages.length;
+  }
+
+  /**
+   * Delete content cache entries cached before a time
+   */
+  async deleteContentFilesBefore(time) {
+    let deleted = 0;
+    for (const [contentId, entry] of this.contents) {
+      if (entry.cached_at < time) {
+        this.contents.delete(contentId);
+        deleted++;
+      }
+    }
+
+    await this.changed();
+    return deleted;
+  }
+
+  /**
+   * Delete Display Catalog data fetched before a time
+   */
+  async deleteProductDataBefore(time) {
+    let deleted = 0;
+    for (const [key, entry] of this.products) {
+      if (entry.fetched_at < time) {
+        this.products.delete(key);
+        deleted++;
+      }
+    }
+
+    await this.changed();
+    return deleted;
+  }
+
+  close() {}
+}
+
+module.exports = MemoryBackend;
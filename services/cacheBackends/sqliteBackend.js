@@ -0,0 +1,360 @@
+const database = require('../database');
+const migrations = require('../migrations');
+
+/**
+ * Spellings of a content ID to match exactly, instead of COLLATE NOCASE which can't use idx_content_cached
+ * @param {string} contentId - Content ID
+ * @returns {Array<string>} Distinct spellings
+ */
+function getSpellings(contentId) {
+  return [...new Set([contentId, contentId.toLowerCase(), contentId.toUpperCase()])];
+}
+
+/**
+ * Cache storage in the shared SQLite database (CONFIG.databasePath)
+ * Product IDs are passed upper-cased and content cache keys lower-cased by CacheService.
+ */
+class SqliteBackend {
+  constructor() {
+    this.name = 'sqlite';
+  }
+
+  /**
+   * Wait for the database and its schema (see services/migrations)
+   */
+  async init() {
+    await migrations.ready();
+  }
+
+  /**
+   * Most recently cached package row of a product in a market
+   * @param {string} productId - Product ID
+   * @param {string} market - Market code
+   * @param {string|null} contentId - Only this package (default: any)
+   * @returns {Promise<Object|null>} Row with content_id, files_data, last_modified_date and cached_at
+   */
+  async getLatestPackage(productId, market, contentId = null) {
+    const row = await database.get(`
+      SELECT content_id, files_data, last_modified_date, cached_at
+      FROM package_cache 
+      WHERE product_id = ? AND market = ? ${contentId ? 'AND content_id = ?' : ''}
+      ORDER BY cached_at DESC, id DESC
+      LIMIT 1
+    `, contentId ? [productId, market, contentId] : [productId, market]);
+    return row || null;
+  }
+
+  /**
+   * Most recently cached package row of a content ID, whichever product and market it was cached for
+   * @param {string} contentId - Content ID, in any case
+   * @returns {Promise<Object|null>} Row with files_data and cached_at
+   */
+  async getLatestPackageByContent(contentId) {
+    const spellings = getSpellings(contentId);
+    const row = await database.get(`
+      SELECT files_data, cached_at
+      FROM package_cache
+      WHERE content_id IN (${spellings.map(() => '?').join(', ')})
+      ORDER BY cached_at DESC, id DESC
+      LIMIT 1
+    `, spellings);
+    return row || null;
+  }
+
+  /**
+   * Store a package row
+   * @param {Object} row - product_id, content_id, market, last_modified_date, files_data and metadata
+   * @param {boolean} replace - Delete earlier rows of the same package and market first. Otherwise (history) a row
+   * of the same version is updated in place, keeping when it was first cached, and only a new version adds a row
+   */
+  async insertPackage(row, replace) {
+    if (replace) {
+      await database.run(`DELETE FROM package_cache WHERE product_id = ? AND content_id = ? AND market = ?`,
+        [row.product_id, row.content_id, row.market]);
+    } else {
+      const { changes } = await database.run(
+        `UPDATE package_cache SET files_data = ?, metadata = ? WHERE product_id = ? AND content_id = ? AND market = ? AND last_modified_date = ?`,
+        [row.files_data, row.metadata, row.product_id, row.content_id, row.market, row.last_modified_date]
+      );
+      if (changes > 0) return;
+    }
+    await database.run(
+      `INSERT INTO package_cache (product_id, content_id, last_modified_date, files_data, market, metadata) VALUES (?, ?, ?, ?, ?, ?)`,
+      [row.product_id, row.content_id, row.last_modified_date, row.files_data, row.market, row.metadata]
+    );
+  }
+
+  /**
+   * Query package rows, see CacheService.getCacheHistory for the options
+   * @param {number} limit - Maximum number of rows
+   * @param {Object} options - Filters, sort column, direction and keyset cursor
+   * @returns {Promise<Array>} Rows
+   */
+  async queryPackages(limit, { productIds, market, since, until, distinct, sort, order, after }) {
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const conditions = [];
+    const params = [];
+    if (productIds?.length) {
+      conditions.push(`product_id IN (${productIds.map(() => '?').join(', ')})`);
+      params.push(...productIds);
+    }
+    if (market) {
+      conditions.push('market = ?');
+      params.push(market);
+    }
+    if (since) {
+      conditions.push('cached_at >= ?');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('cached_at < ?');
+      params.push(until);
+    }
+    if (distinct) {
+      // Latest is the most recently cached row (updates in place keep their cached_at), id breaks ties within a second
+      conditions.push(`id IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (PARTITION BY product_id, market ORDER BY cached_at DESC, id DESC) AS position
+          FROM package_cache
+        ) WHERE position = 1
+      )`);
+    }
+    if (after) {
+      const comparison = direction === 'ASC' ? '>' : '<';
+      conditions.push(`(${sort} ${comparison} ? OR (${sort} = ? AND id ${comparison} ?))`);
+      params.push(after.value, after.value, after.id);
+    }
+
+    return database.all(`
+      SELECT id, product_id, content_id, market, last_modified_date, files_data, metadata, cached_at
+      FROM package_cache 
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${sort} ${direction}, id ${direction}
+      LIMIT ?
+    `, [...params, limit]);
+  }
+
+  /**
+   * Every package row of a product in a market, most recent first
+   * @param {string} productId - Product ID
+   * @param {string} market - Market code
+   * @returns {Promise<Array>} Rows with content_id, last_modified_date, files_data and cached_at
+   */
+  async getProductPackages(productId, market) {
+    return database.all(`
+      SELECT content_id, last_modified_date, files_data, cached_at
+      FROM package_cache 
+      WHERE product_id = ? AND market = ?
+      ORDER BY cached_at DESC, id DESC
+    `, [productId, market]);
+  }
+
+  /**
+   * Cached Display Catalog response
+   * @param {string} productId - Product ID
+   * @param {string} market - Market code
+   * @param {string} languages - Display Catalog languages value
+   * @returns {Promise<Object|null>} Row with products_data and fetched_at
+   */
+  async getProductData(productId, market, languages) {
+    const row = await database.get(`
+      SELECT products_data, fetched_at
+      FROM product_cache
+      WHERE product_id = ? AND market = ? AND languages = ?
+    `, [productId, market, languages]);
+    return row || null;
+  }
+
+  /**
+   * Store a Display Catalog response, replacing the previous one
+   * @param {string} productId - Product ID
+   * @param {string} market - Market code
+   * @param {string} languages - Display Catalog languages value
+   * @param {string} productsData - Response as JSON
+   * @param {number} fetchedAt - Fetch time in milliseconds
+   */
+  async setProductData(productId, market, languages, productsData, fetchedAt) {
+    await database.run(`
+      INSERT INTO product_cache (product_id, market, languages, products_data, fetched_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(product_id, market, languages) DO UPDATE SET
+        products_data = excluded.products_data,
+        fetched_at = excluded.fetched_at
+    `, [productId, market, languages, productsData, fetchedAt]);
+  }
+
+  /**
+   * Cached files of a content ID looked up directly
+   * @param {string} contentId - Lower-cased content ID
+   * @returns {Promise<Object|null>} Row with files_data and cached_at (ms)
+   */
+  async getContentFiles(contentId) {
+    const row = await database.get(`SELECT files_data, cached_at FROM content_cache WHERE content_id = ?`, [contentId]);
+    return row || null;
+  }
+
+  /**
+   * Store the files of a content ID looked up directly, replacing the previous entry
+   * @param {string} contentId - Lower-cased content ID
+   * @param {string} filesData - Files as JSON
+   * @param {number} cachedAt - Cache time in milliseconds
+   */
+  async setContentFiles(contentId, filesData, cachedAt) {
+    await database.run(`
+      INSERT INTO content_cache (content_id, files_data, cached_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(content_id) DO UPDATE SET
+        files_data = excluded.files_data,
+        cached_at = excluded.cached_at
+    `, [contentId, filesData, cachedAt]);
+  }
+
+  /**
+   * Map content IDs to the product shipping them
+   * @param {string} productId - Product ID
+   * @param {Array<string>} contentIds - Lower-cased, distinct content IDs
+   * @param {number} mappedAt - Mapping time in milliseconds
+   */
+  async mapContentIds(productId, contentIds, mappedAt) {
+    await database.run(`
+      INSERT INTO content_products (content_id, product_id, mapped_at)
+      VALUES ${contentIds.map(() => '(?, ?, ?)').join(', ')}
+      ON CONFLICT(content_id) DO UPDATE SET
+        product_id = excluded.product_id,
+        mapped_at = excluded.mapped_at
+    `, contentIds.flatMap(id => [id, productId, mappedAt]));
+  }
+
+  /**
+   * Products known to ship the given content IDs
+   * @param {Array<string>} contentIds - Lower-cased, distinct content IDs
+   * @returns {Promise<Map<string, string>>} Product ID per content ID
+   */
+  async getProductIdsForContentIds(contentIds) {
+    const rows = await database.all(`
+      SELECT content_id, product_id
+      FROM content_products
+      WHERE content_id IN (${contentIds.map(() => '?').join(', ')})
+    `, contentIds);
+    return new Map(rows.map(row => [row.content_id, row.product_id]));
+  }
+
+  /**
+   * Row counts and storage size
+   * @returns {Promise<Object>} Statistics, see CacheService.getStats
+   */
+  async getStats() {
+    const packages = await database.get(`
+      SELECT COUNT(*) AS rows, COUNT(DISTINCT product_id) AS products, COUNT(DISTINCT content_id) AS contents,
+        MIN(cached_at) AS oldest, MAX(cached_at) AS newest
+      FROM package_cache
+    `);
+    const contents = await database.get(`SELECT COUNT(*) AS rows FROM content_cache`);
+    const products = await database.get(`SELECT COUNT(*) AS rows FROM product_cache`);
+    const mappings = await database.get(`SELECT COUNT(*) AS rows FROM content_products`);
+    const pageCount = await database.get(`PRAGMA page_count`);
+    const pageSize = await database.get(`PRAGMA page_size`);
+    const freePages = await database.get(`PRAGMA freelist_count`);
+
+    return {
+      packageRows: packages.rows,
+      products: packages.products,
+      contentIds: packages.contents,
+      oldestCachedAt: packages.oldest,
+      newestCachedAt: packages.newest,
+      contentRows: contents.rows,
+      productRows: products.rows,
+      contentMappings: mappings.rows,
+      size: pageCount.page_count * pageSize.page_size,
+      freeSize: freePages.freelist_count * pageSize.page_size,
+    };
+  }
+
+  /**
+   * Delete the package rows, Display Catalog data and content ID mappings of a product
+   * @param {string} productId - Product ID
+   * @param {string|null} market - Only this market (mappings aren't per market, so they are kept)
+   * @returns {Promise<Object>} Deleted row counts
+   */
+  async deleteProduct(productId, market) {
+    const marketFilter = market ? 'AND market = ?' : '';
+    const params = market ? [productId, market] : [productId];
+
+    const packages = await database.run(`DELETE FROM package_cache WHERE product_id = ? ${marketFilter}`, params);
+    const products = await database.run(`DELETE FROM product_cache WHERE product_id = ? ${marketFilter}`, params);
+    const mappings = market ? { changes: 0 } : await database.run(`DELETE FROM content_products WHERE product_id = ?`, [productId]);
+
+    return { packageRows: packages.changes, productRows: products.changes, contentMappings: mappings.changes };
+  }
+
+  /**
+   * Delete the package rows and content cache entry of a content ID
+   * @param {string} contentId - Content ID, in any case
+   * @returns {Promise<Object>} Deleted row counts
+   */
+  async deleteContent(contentId) {
+    const spellings = getSpellings(contentId);
+    const packages = await database.run(`DELETE FROM package_cache WHERE content_id IN (${spellings.map(() => '?').join(', ')})`, spellings);
+    const contents = await database.run(`DELETE FROM content_cache WHERE content_id = ?`, [contentId.toLowerCase()]);
+
+    return { packageRows: packages.changes, contentRows: contents.changes };
+  }
+
+  /**
+   * Delete package rows cached more than some days ago
+   * @param {number} daysOld - Age in days
+   * @returns {Promise<number>} Deleted rows
+   */
+  async deletePackagesOlderThan(daysOld) {
+    const { changes } = await database.run(`
+      DELETE FROM package_cache 
+      WHERE cached_at < datetime('now', ?)
+    `, [`-${daysOld} days`]);
+    return changes;
+  }
+
+  /**
+   * Keep only the newest rows of each package of a product and market
+   * @param {number} maxHistory - Rows kept per product, package and market
+   * @returns {Promise<number>} Deleted rows
+   */
+  async trimHistory(maxHistory) {
+    const { changes } = await database.run(`
+      DELETE FROM package_cache WHERE id IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY product_id, content_id, market ORDER BY cached_at DESC, id DESC
+          ) AS position
+          FROM package_cache
+        ) WHERE position > ?
+      )
+    `, [maxHistory]);
+    return changes;
+  }
+
+  /**
+   * Delete content cache entries cached before a time
+   * @param {number} time - Time in milliseconds
+   * @returns {Promise<number>} Deleted rows
+   */
+  async deleteContentFilesBefore(time) {
+    const { changes } = await database.run(`DELETE FROM content_cache WHERE cached_at < ?`, [time]);
+    return changes;
+  }
+
+  /**
+   * Delete Display Catalog data fetched before a time
+   * @param {number} time - Time in milliseconds
+   * @returns {Promise<number>} Deleted rows
+   */
+  async deleteProductDataBefore(time) {
+    const { changes } = await database.run(`DELETE FROM product_cache WHERE fetched_at < ?`, [time]);
+    return changes;
+  }
+
+  close() {
+    database.close();
+  }
+}
+
+module.exports = SqliteBackend;
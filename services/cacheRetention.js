@@ -0,0 +1,83 @@
+const cacheService = require("./cacheService");
+const CONFIG = require("../config");
+
+let timer = null;
+let running = false;
+let lastRunAt = null;
+let lastResult = null;
+let lastError = null;
+
+/**
+ * Apply the retention settings once
+ * @returns {Promise<Object|null>} Deleted row counts, or null if a run was already in progress
+ */
+async function runOnce() {
+  if (running) return null;
+  running = true;
+
+  try {
+    lastRunAt = Date.now();
+    lastResult = await cacheService.enforceRetention({
+      maxHistory: CONFIG.cacheMaxHistory,
+      maxAgeDays: CONFIG.cacheMaxAgeDays
+    });
+    lastError = null;
+
+    const deleted = Object.values(lastResult).reduce((sum, count) => sum + count, 0);
+    if (deleted > 0) {
+      console.log(`Cache retention deleted ${deleted} rows`, lastResult);
+    }
+    return lastResult;
+  } catch (error) {
+    lastError = error.message;
+    console.error('Cache retention failed:', error);
+    throw error;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start enforcing retention every CONFIG.cacheRetentionInterval (runs once immediately)
+ */
+function start() {
+  if (timer) return;
+
+  timer = setInterval(() => runOnce().catch(() => {}), CONFIG.cacheRetentionInterval);
+  timer.unref();
+  runOnce().catch(() => {});
+  console.log(`Cache retention started (every ${CONFIG.cacheRetentionInterval / 1000}s)`);
+}
+
+/**
+ * Stop enforcing retention
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Describe the retention settings and the last run
+ * @returns {Object} Retention status
+ */
+function getStatus() {
+  return {
+    enabled: timer !== null,
+    intervalSeconds: CONFIG.cacheRetentionInterval / 1000,
+    maxHistory: CONFIG.cacheMaxHistory || null,
+    maxAgeDays: CONFIG.cacheMaxAgeDays || null,
+    lastRunAt: lastRunAt ? new Date(lastRunAt).toISOString() : null,
+    lastResult,
+    lastError,
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus,
+};
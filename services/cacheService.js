@@ -1,106 +1,235 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const SqliteBackend = require('./cacheBackends/sqliteBackend');
+const MemoryBackend = require('./cacheBackends/memoryBackend');
+const JsonFileBackend = require('./cacheBackends/jsonFileBackend');
+const LruCache = require('./lruCache');
 const CONFIG = require('../config');
 
+// Columns getCacheHistory can sort by
+const SORT_COLUMNS = ['cached_at', 'last_modified_date', 'product_id'];
+
+// Storage backends by CACHE_BACKEND value
+const BACKENDS = {
+  sqlite: SqliteBackend,
+  memory: MemoryBackend,
+  json: JsonFileBackend,
+};
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value (UTC without a zone designator)
+ * @param {string} value - Timestamp such as "2024-01-31 12:00:00"
+ * @returns {number} Time in milliseconds
+ */
+function parseTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+}
+
 class CacheService {
   constructor() {
-    this.db = null;
-    this.init();
+    this.backend = null;
+    this.initializing = null;
+    // Hot products and packages in front of SQLite, set up by init
+    this.lru = null;
+    this.sortColumns = SORT_COLUMNS;
+    this.backends = Object.keys(BACKENDS);
+    // Lookup outcomes per cache since startup
+    this.counters = {
+      packages: { hits: 0, misses: 0 },
+      contents: { hits: 0, misses: 0 },
+      products: { hits: 0, stale: 0, misses: 0 },
+    };
+    this.startedAt = new Date().toISOString();
   }
 
+  /**
+   * Open the configured backend (CACHE_BACKEND) once; every method waits for it
+   * @returns {Promise<Object>} The ready backend
+   */
   init() {
-    const dbPath = path.join(process.cwd(), 'cache.db');
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        console.error('Error opening cache database:', err);
-      } else {
-        console.log('Cache database connected');
-        this.createTables();
-      }
-    });
-  }
-
-  createTables() {
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS package_cache (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        product_id TEXT NOT NULL,
-        content_id TEXT NOT NULL,
-        last_modified_date TEXT NOT NULL,
-        files_data TEXT NOT NULL,
-        cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createIndexSQL = `
-      CREATE INDEX IF NOT EXISTS idx_product_cached 
-      ON package_cache(product_id, cached_at DESC)
-    `;
-
-    this.db.serialize(() => {
-      this.db.run(createTableSQL, (err) => {
-        if (err) {
-          console.error('Error creating cache table:', err);
-        } else {
-          console.log('Cache table ready');
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        const Backend = BACKENDS[CONFIG.cacheBackend];
+        if (!Backend) {
+          throw new Error(`Unknown cache backend "${CONFIG.cacheBackend}", use one of: ${this.backends.join(', ')}`);
         }
-      });
 
-      this.db.run(createIndexSQL, (err) => {
-        if (err) {
-          console.error('Error creating cache index:', err);
+        const backend = new Backend();
+        await backend.init();
+
+        // The other backends already keep everything in memory
+        if (backend.name === 'sqlite' && CONFIG.cacheLruSize > 0) {
+          this.lru = new LruCache(CONFIG.cacheLruSize);
         }
-      });
-    });
+        this.backend = backend;
+        console.log(`Cache ready (${backend.name} backend${this.lru ? `, LRU of ${this.lru.maxSize} entries` : ''})`);
+        return backend;
+      })();
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Read through the LRU tier, when there is one
+   * @param {string} key - LRU key
+   * @param {Function} load - Async loader returning the row, or null
+   * @returns {Promise<Object|null>} Row
+   */
+  async readThrough(key, load) {
+    const cached = this.lru?.get(key);
+    if (cached) return cached;
+
+    const row = await load();
+    if (row) this.lru?.set(key, row);
+    return row;
   }
 
   /**
    * Check if cached data exists and is still valid
    * @param {string} productId - Product ID
    * @param {string} lastModifiedDate - Last modified date from products API
+   * @param {string|null} contentId - Package content ID, for products that ship several packages (default: any)
+   * @param {string} market - Market code the product data was fetched for (default: "US")
    * @returns {Promise<Object|null>} Cached data or null if not valid
    */
-  async getCachedPackageData(productId, lastModifiedDate) {
-    return new Promise((resolve, reject) => {
-      // Get the most recent cache entry for this product
-      const query = `
-        SELECT content_id, files_data, last_modified_date
-        FROM package_cache 
-        WHERE product_id = ?
-        ORDER BY cached_at DESC
-        LIMIT 1
-      `;
-
-      this.db.get(query, [productId.toUpperCase()], (err, row) => {
-        if (err) {
-          console.error('Error checking cache:', err);
-          reject(err);
-          return;
-        }
+  async getCachedPackageData(productId, lastModifiedDate, contentId = null, market = 'US') {
+    const backend = await this.init();
+    const id = productId.toUpperCase();
 
-        if (!row) {
-          console.log(`No cache found for product ID: ${productId}`);
-          resolve(null);
-          return;
-        }
+    // Get the most recent cache entry for this product (and package) in this market
+    const row = await this.readThrough(`package|${id}|${market}|${contentId || '*'}`,
+      () => backend.getLatestPackage(id, market, contentId));
 
-        // Compare last modified dates
-        const cachedDate = new Date(row.last_modified_date);
-        const currentDate = new Date(lastModifiedDate);
+    if (!row) {
+      console.log(`No cache found for product ID: ${productId}`);
+      return null;
+    }
 
-        if (currentDate > cachedDate) {
-          console.log(`Cache expired for product ID: ${productId} (cached: ${cachedDate.toISOString()}, current: ${currentDate.toISOString()})`);
-          resolve(null);
-          return;
-        }
+    // Compare last modified dates
+    const cachedDate = new Date(row.last_modified_date);
+    const currentDate = new Date(lastModifiedDate);
 
-        console.log(`Cache hit for product ID: ${productId}`);
-        resolve({
-          contentId: row.content_id,
-          files: JSON.parse(row.files_data)
-        });
-      });
-    });
+    if (currentDate > cachedDate) {
+      console.log(`Cache expired for product ID: ${productId} (cached: ${cachedDate.toISOString()}, current: ${currentDate.toISOString()})`);
+      return null;
+    }
+
+    console.log(`Cache hit for product ID: ${productId}`);
+    return {
+      contentId: row.content_id,
+      files: JSON.parse(row.files_data)
+    };
+  }
+
+  /**
+   * Get cached Display Catalog data for a product
+   * @param {string} productId - Product ID
+   * @param {string} market - Market code
+   * @param {string} languages - Display Catalog languages value
+   * @returns {Promise<{productsData: Object, fetchedAt: number}|null>} Cached data and fetch time (ms), or null
+   */
+  async getCachedProductsData(productId, market, languages) {
+    const backend = await this.init();
+    const id = productId.toUpperCase();
+
+    const row = await this.readThrough(`product|${id}|${market}|${languages}`,
+      () => backend.getProductData(id, market, languages));
+    return row ? { productsData: JSON.parse(row.products_data), fetchedAt: row.fetched_at } : null;
+  }
+
+  /**
+   * Cache Display Catalog data for a product, replacing the previous response
+   * @param {string} productId - Product ID
+   * @param {string} market - Market code
+   * @param {string} languages - Display Catalog languages value
+   * @param {Object} productsData - Single-product Display Catalog response
+   */
+  async cacheProductsData(productId, market, languages, productsData) {
+    const backend = await this.init();
+    const id = productId.toUpperCase();
+    const row = { products_data: JSON.stringify(productsData), fetched_at: Date.now() };
+
+    try {
+      await backend.setProductData(id, market, languages, row.products_data, row.fetched_at);
+    } catch (err) {
+      console.error('Error caching product data:', err);
+      throw err;
+    }
+    this.lru?.set(`product|${id}|${market}|${languages}`, row);
+  }
+
+  /**
+   * Get cached files of a content ID if they were cached within the freshness window.
+   * Files cached for a product lookup count too, they are the same whichever product shipped them.
+   * @param {string} contentId - Package content ID
+   * @param {number} maxAge - Freshness window in milliseconds
+   * @returns {Promise<{files: Array, cachedAt: number}|null>} Cached files and cache time (ms), or null
+   */
+  async getCachedContentFiles(contentId, maxAge) {
+    const backend = await this.init();
+
+    const contentRow = await backend.getContentFiles(contentId.toLowerCase());
+    const packageRow = await backend.getLatestPackageByContent(contentId);
+
+    const newest = [
+      contentRow && { filesData: contentRow.files_data, cachedAt: contentRow.cached_at },
+      packageRow && { filesData: packageRow.files_data, cachedAt: parseTimestamp(packageRow.cached_at) },
+    ]
+      .filter(row => row && Date.now() - row.cachedAt < maxAge)
+      .sort((a, b) => b.cachedAt - a.cachedAt)[0];
+    if (!newest) {
+      console.log(`No fresh cache found for content ID: ${contentId}`);
+      return null;
+    }
+
+    console.log(`Cache hit for content ID: ${contentId}`);
+    return { files: JSON.parse(newest.filesData), cachedAt: newest.cachedAt };
+  }
+
+  /**
+   * Cache the files of a content ID looked up directly, replacing the previous entry
+   * @param {string} contentId - Package content ID
+   * @param {Array} files - Package files array
+   */
+  async cacheContentFiles(contentId, files) {
+    const backend = await this.init();
+
+    try {
+      await backend.setContentFiles(contentId.toLowerCase(), JSON.stringify(files), Date.now());
+    } catch (err) {
+      console.error('Error caching content data:', err);
+      throw err;
+    }
+    console.log(`Cached data for content ID: ${contentId}`);
+  }
+
+  /**
+   * Remember which product ships each content ID
+   * @param {string} productId - Product ID
+   * @param {Array<string>} contentIds - Content IDs of the product's packages
+   */
+  async mapContentIds(productId, contentIds) {
+    const ids = [...new Set(contentIds.filter(Boolean).map(id => id.toLowerCase()))];
+    if (ids.length === 0) return;
+
+    const backend = await this.init();
+    try {
+      await backend.mapContentIds(productId.toUpperCase(), ids, Date.now());
+    } catch (err) {
+      console.error('Error mapping content IDs:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Look up the products known to ship the given content IDs
+   * @param {Array<string>} contentIds - Content IDs
+   * @returns {Promise<Map<string, string>>} Product ID per lower-cased content ID, unknown content IDs are left out
+   */
+  async getProductIdsForContentIds(contentIds) {
+    const ids = [...new Set(contentIds.map(id => id.toLowerCase()))];
+    if (ids.length === 0) return new Map();
+
+    const backend = await this.init();
+    return backend.getProductIdsForContentIds(ids);
   }
 
   /**
@@ -109,97 +238,209 @@ class CacheService {
    * @param {string} contentId - Content ID
    * @param {string} lastModifiedDate - Last modified date from products API
    * @param {Array} files - Package files array
+   * @param {string} market - Market code the product data was fetched for (default: "US")
+   * @param {Object|null} metadata - Product metadata from extractMetadataFromProducts (default: none)
    */
-  async cachePackageData(productId, contentId, lastModifiedDate, files) {
-    return new Promise((resolve, reject) => {
-      const executeInsert = () => {
-        const insertQuery = `INSERT INTO package_cache (product_id, content_id, last_modified_date, files_data) VALUES (?, ?, ?, ?)`;
-        this.db.run(insertQuery, [productId.toUpperCase(), contentId, lastModifiedDate, JSON.stringify(files)], function(err) {
-          if (err) {
-            console.error('Error caching data:', err);
-            reject(err);
-            return;
-          }
-          console.log(`Cached data ${CONFIG.cacheHistory ? 'with history' : '(replaced)'} for product ID: ${productId}`);
-          resolve();
-        });
-      };
-
-      CONFIG.cacheHistory ? executeInsert() : this.db.run(`DELETE FROM package_cache WHERE product_id = ?`, [productId.toUpperCase()], (err) => {
-        if (err) {
-          console.error('Error clearing old cache:', err);
-          reject(err);
-          return;
-        }
-        executeInsert();
-      });
-    });
+  async cachePackageData(productId, contentId, lastModifiedDate, files, market = 'US', metadata = null) {
+    const backend = await this.init();
+    const id = productId.toUpperCase();
+
+    try {
+      // Only replace rows of the same package and market, other packages of the product stay cached.
+      // With history, a refresh of a version already cached updates its row instead of adding a fake update
+      await backend.insertPackage({
+        product_id: id,
+        content_id: contentId,
+        market,
+        last_modified_date: lastModifiedDate,
+        files_data: JSON.stringify(files),
+        metadata: metadata ? JSON.stringify(metadata) : null
+      }, !CONFIG.cacheHistory);
+    } catch (err) {
+      console.error('Error caching data:', err);
+      throw err;
+    }
+
+    this.lru?.deletePrefix(`package|${id}|${market}|`);
+    console.log(`Cached data ${CONFIG.cacheHistory ? 'with history' : '(replaced)'} for product ID: ${productId}`);
   }
 
   /**
    * Get cache history for products (when history mode is enabled)
    * @param {number} limit - Maximum number of entries to return (default: 10)
-   * @returns {Promise<Array>} Array of cache entries sorted by most recent first
-   */
-  async getCacheHistory(limit = 10) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT product_id, last_modified_date, files_data, cached_at
-        FROM package_cache 
-        ORDER BY cached_at DESC
-        LIMIT ?
-      `;
-
-      this.db.all(query, [limit], (err, rows) => {
-        if (err) {
-          console.error('Error getting cache history:', err);
-          reject(err);
-          return;
-        }
+   * @param {Object} [options] - Filters, sort order and cursor
+   * @param {Array<string>} [options.productIds] - Only these products
+   * @param {string} [options.market] - Only this market
+   * @param {string} [options.since] - Only entries cached at or after this SQLite datetime (UTC)
+   * @param {string} [options.until] - Only entries cached before this SQLite datetime (UTC)
+   * @param {boolean} [options.distinct] - Only the most recently cached entry per product and market
+   * @param {string} [options.sort] - Sort column: cached_at (default), last_modified_date or product_id
+   * @param {string} [options.order] - "desc" (default) or "asc"
+   * @param {Object} [options.after] - Keyset cursor { value, id } of the last entry of the previous page
+   * @returns {Promise<Array>} Array of cache entries in the requested order (most recent first by default)
+   */
+  async getCacheHistory(limit = 10, { productIds = null, market = null, since = null, until = null, distinct = false, sort = 'cached_at', order = 'desc', after = null } = {}) {
+    if (!SORT_COLUMNS.includes(sort)) {
+      throw new Error(`Invalid sort column: ${sort}`);
+    }
 
-        resolve(rows || []);
+    const backend = await this.init();
+    try {
+      return await backend.queryPackages(limit, {
+        productIds: productIds?.map(id => id.toUpperCase()),
+        market,
+        since,
+        until,
+        distinct,
+        sort,
+        order: order === 'asc' ? 'asc' : 'desc',
+        after
       });
-    });
+    } catch (err) {
+      console.error('Error getting cache history:', err);
+      throw err;
+    }
   }
 
   /**
-   * Clear old cache entries (optional cleanup method)
+   * Get every cached row of a product in a market (all versions when history mode is enabled)
+   * @param {string} productId - Product ID
+   * @param {string} market - Market code (default: "US")
+   * @returns {Promise<Array>} Rows sorted by most recent first
+   */
+  async getProductHistory(productId, market = 'US') {
+    const backend = await this.init();
+    try {
+      return await backend.getProductPackages(productId.toUpperCase(), market);
+    } catch (err) {
+      console.error('Error getting product history:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Count a cache lookup for the stats endpoint
+   * @param {string} cache - "packages", "contents" or "products"
+   * @param {string} outcome - "hits", "misses" (or "stale" for products)
+   */
+  countLookup(cache, outcome) {
+    if (this.counters[cache]?.[outcome] !== undefined) {
+      this.counters[cache][outcome]++;
+    }
+  }
+
+  /**
+   * Describe the cache: backend, row counts, storage size and lookup counters
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async getStats() {
+    const backend = await this.init();
+    const stats = await backend.getStats();
+
+    return {
+      backend: backend.name,
+      packageCache: {
+        rows: stats.packageRows,
+        products: stats.products,
+        contentIds: stats.contentIds,
+        oldestCachedAt: stats.oldestCachedAt,
+        newestCachedAt: stats.newestCachedAt,
+      },
+      contentCache: { rows: stats.contentRows },
+      productCache: { rows: stats.productRows },
+      contentProductMappings: stats.contentMappings,
+      databaseSize: stats.size,
+      freeSize: stats.freeSize,
+      lru: this.lru ? this.lru.getStats() : null,
+      counters: this.counters,
+      countersSince: this.startedAt,
+    };
+  }
+
+  /**
+   * Delete every cache entry of a product: package rows, Display Catalog data and content ID mappings
+   * @param {string} productId - Product ID
+   * @param {string|null} market - Only this market (default: every market)
+   * @returns {Promise<Object>} Deleted row counts per table
+   */
+  async deleteProduct(productId, market = null) {
+    const backend = await this.init();
+    const id = productId.toUpperCase();
+
+    const deleted = await backend.deleteProduct(id, market);
+    this.lru?.deletePrefix(`package|${id}|${market ? `${market}|` : ''}`);
+    this.lru?.deletePrefix(`product|${id}|${market ? `${market}|` : ''}`);
+
+    console.log(`Deleted cache entries for product ID: ${productId}${market ? ` (${market})` : ''}`);
+    return deleted;
+  }
+
+  /**
+   * Delete every cached entry of a content ID, whichever product shipped it
+   * @param {string} contentId - Package content ID
+   * @returns {Promise<Object>} Deleted row counts per table
+   */
+  async deleteContent(contentId) {
+    const backend = await this.init();
+
+    const deleted = await backend.deleteContent(contentId);
+    // Rows of any product may be gone
+    this.lru?.clear();
+
+    console.log(`Deleted cache entries for content ID: ${contentId}`);
+    return deleted;
+  }
+
+  /**
+   * Clear old cache entries
    * @param {number} daysOld - Number of days old to consider for cleanup
+   * @returns {Promise<number>} Number of package rows deleted
    */
   async clearOldCache(daysOld = 30) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        DELETE FROM package_cache 
-        WHERE cached_at < datetime('now', '-${daysOld} days')
-      `;
-
-      this.db.run(query, function(err) {
-        if (err) {
-          console.error('Error clearing old cache:', err);
-          reject(err);
-          return;
-        }
+    const backend = await this.init();
 
-        console.log(`Cleared ${this.changes} old cache entries`);
-        resolve(this.changes);
-      });
-    });
+    let deleted;
+    try {
+      deleted = await backend.deletePackagesOlderThan(Number(daysOld));
+    } catch (err) {
+      console.error('Error clearing old cache:', err);
+      throw err;
+    }
+    if (deleted > 0) this.lru?.clear();
+
+    console.log(`Cleared ${deleted} old cache entries`);
+    return deleted;
+  }
+
+  /**
+   * Apply the retention settings: history rows beyond the newest `maxHistory` per package of a product and market,
+   * package rows older than `maxAgeDays`, and content and product data past their freshness windows
+   * @param {Object} retention - Retention settings
+   * @param {number} retention.maxHistory - Rows kept per product, package and market (0 keeps all)
+   * @param {number} retention.maxAgeDays - Age in days after which package rows are deleted (0 keeps all)
+   * @returns {Promise<Object>} Deleted row counts
+   */
+  async enforceRetention({ maxHistory, maxAgeDays }) {
+    const backend = await this.init();
+
+    const historyRows = maxHistory > 0 ? await backend.trimHistory(maxHistory) : 0;
+    const expiredRows = maxAgeDays > 0 ? await this.clearOldCache(maxAgeDays) : 0;
+
+    // These can't be served anymore, so they only take up space
+    const contentRows = await backend.deleteContentFilesBefore(Date.now() - CONFIG.contentCacheTtl);
+    const productMaxAge = CONFIG.productCacheTtl + (CONFIG.productCacheStaleWhileRevalidate ? CONFIG.productCacheStaleTtl : 0);
+    const productRows = await backend.deleteProductDataBefore(Date.now() - productMaxAge);
+
+    if (historyRows > 0 || productRows > 0) this.lru?.clear();
+    return { historyRows, expiredRows, contentRows, productRows };
   }
 
   close() {
-    if (this.db) {
-      this.db.close((err) => {
-        if (err) {
-          console.error('Error closing cache database:', err);
-        } else {
-          console.log('Cache database closed');
-        }
-      });
-    }
+    this.backend?.close();
   }
 }
 
 // Create singleton instance
 const cacheService = new CacheService();
 
-module.exports = cacheService;
\ No newline at end of file
+module.exports = cacheService;
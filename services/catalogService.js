@@ -0,0 +1,163 @@
+const packageService = require("./packageService");
+const cacheService = require("./cacheService");
+const CONFIG = require("../config");
+
+// Background revalidations in flight, keyed by product, market and languages
+const revalidating = new Set();
+
+/**
+ * Key of a product in a market and set of languages
+ * @param {string} productId - Product ID
+ * @param {string} market - Market code
+ * @param {string} languages - Display Catalog languages value
+ * @returns {string} Key
+ */
+function getKey(productId, market, languages) {
+  return `${productId.toUpperCase()}|${market}|${languages}`;
+}
+
+/**
+ * Classify cached Display Catalog data by age
+ * @param {number} fetchedAt - Fetch time in milliseconds
+ * @returns {string} "fresh", "stale" (served while revalidating) or "expired"
+ */
+function getFreshness(fetchedAt) {
+  const age = Date.now() - fetchedAt;
+  if (age < CONFIG.productCacheTtl) return "fresh";
+  if (CONFIG.productCacheStaleWhileRevalidate && age < CONFIG.productCacheTtl + CONFIG.productCacheStaleTtl) return "stale";
+  return "expired";
+}
+
+/**
+ * Fetch products live from Display Catalog, cache every product found and map its content IDs back to it
+ * @param {Array<string>} productIds - Product IDs
+ * @param {string} market - Market code
+ * @param {string} languages - Display Catalog languages value
+ * @returns {Promise<{productsById: Map<string, Object>, errors: Map<string, Error>}>} Products data and fetch errors per upper-cased product ID
+ */
+async function fetchAndCache(productIds, market, languages) {
+  const { productsById, errors } = await packageService.fetchProductsDataBatch(productIds, market, languages);
+
+  for (const [productId, productsData] of productsById) {
+    if (CONFIG.productCacheTtl > 0) {
+      await cacheService.cacheProductsData(productId, market, languages, productsData)
+        .catch(err => console.error(`Failed to cache product data for ${productId}:`, err));
+    }
+    const contentIds = packageService.extractPackagesFromProducts(productsData).map(pkg => pkg.contentId);
+    await cacheService.mapContentIds(productId, contentIds)
+      .catch(err => console.error(`Failed to map content IDs of ${productId}:`, err));
+  }
+
+  return { productsById, errors };
+}
+
+/**
+ * Refresh stale products in the background, at most once at a time per product
+ * @param {Array<string>} productIds - Product IDs
+ * @param {string} market - Market code
+ * @param {string} languages - Display Catalog languages value
+ */
+function revalidateInBackground(productIds, market, languages) {
+  const pending = productIds.filter(id => !revalidating.has(getKey(id, market, languages)));
+  if (pending.length === 0) return;
+
+  pending.forEach(id => revalidating.add(getKey(id, market, languages)));
+  fetchAndCache(pending, market, languages)
+    .then(({ errors }) => {
+      const revalidated = pending.filter(id => !errors.has(id.toUpperCase()));
+      if (revalidated.length > 0) console.log(`Revalidated product data for ${revalidated.join(", ")}`);
+      for (const [productId, err] of errors) console.error(`Background revalidation failed for ${productId}:`, err.message);
+    })
+    .catch(err => console.error(`Background revalidation failed for ${pending.join(", ")}:`, err.message))
+    .finally(() => pending.forEach(id => revalidating.delete(getKey(id, market, languages))));
+}
+
+/**
+ * Get Display Catalog data for several products, answering from the product cache while it is fresh.
+ * With stale-while-revalidate, stale data is served and refreshed in the background.
+ * @param {Array<string>} productIds - Product IDs
+ * @param {string} market - Market code
+ * @param {string} languages - Display Catalog languages value
+ * @returns {Promise<{productsById: Map<string, Object>, sources: Map<string, string>, errors: Map<string, Error>}>} Products data and its source ("cache", "stale" or "live") per upper-cased product ID, and the Display Catalog error of products that couldn't be fetched
+ */
+async function getProductsDataBatch(productIds, market, languages) {
+  const productsById = new Map();
+  const sources = new Map();
+  const missing = [];
+  const stale = [];
+
+  for (const productId of productIds) {
+    let cached = null;
+    if (CONFIG.productCacheTtl > 0) {
+      try {
+        cached = await cacheService.getCachedProductsData(productId, market, languages);
+      } catch (cacheErr) {
+        console.error('Product cache error, falling back to Display Catalog:', cacheErr);
+      }
+    }
+
+    const freshness = cached ? getFreshness(cached.fetchedAt) : "expired";
+    if (CONFIG.productCacheTtl > 0) {
+      cacheService.countLookup("products", { fresh: "hits", stale: "stale", expired: "misses" }[freshness]);
+    }
+    if (freshness === "expired") {
+      missing.push(productId);
+      continue;
+    }
+
+    productsById.set(productId.toUpperCase(), cached.productsData);
+    sources.set(productId.toUpperCase(), freshness === "fresh" ? "cache" : "stale");
+    if (freshness === "stale") stale.push(productId);
+  }
+
+  if (stale.length > 0) {
+    revalidateInBackground(stale, market, languages);
+  }
+
+  let errors = new Map();
+  if (missing.length > 0) {
+    const fetched = await fetchAndCache(missing, market, languages);
+    for (const [productId, productsData] of fetched.productsById) {
+      productsById.set(productId, productsData);
+      sources.set(productId, "live");
+    }
+    errors = fetched.errors;
+  }
+
+  return { productsById, sources, errors };
+}
+
+/**
+ * Get Display Catalog data for one product, see getProductsDataBatch
+ * @param {string} productId - Product ID
+ * @param {string} market - Market code
+ * @param {string} languages - Display Catalog languages value
+ * @returns {Promise<{productsData: Object|null, source: string}>} Products data (null if not found) and its source
+ * @throws {Error} If Display Catalog couldn't be reached
+ */
+async function getProductsData(productId, market, languages) {
+  const { productsById, sources, errors } = await getProductsDataBatch([productId], market, languages);
+  const key = productId.toUpperCase();
+  if (errors.has(key)) throw errors.get(key);
+  return { productsData: productsById.get(key) || null, source: sources.get(key) || "live" };
+}
+
+/**
+ * Fetch a product live from Display Catalog regardless of the product cache, replacing the cached data
+ * @param {string} productId - Product ID
+ * @param {string} market - Market code
+ * @param {string} languages - Display Catalog languages value
+ * @returns {Promise<Object|null>} Products data, or null if not found
+ * @throws {Error} If Display Catalog couldn't be reached
+ */
+async function refreshProductsData(productId, market, languages) {
+  const { productsById, errors } = await fetchAndCache([productId], market, languages);
+  if (errors.has(productId.toUpperCase())) throw errors.get(productId.toUpperCase());
+  return productsById.get(productId.toUpperCase()) || null;
+}
+
+module.exports = {
+  getProductsData,
+  refreshProductsData,
+  getProductsDataBatch,
+};
@@ -0,0 +1,105 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const CONFIG = require('../config');
+
+/**
+ * Shared SQLite connection (CONFIG.databasePath) with promise helpers
+ */
+class Database {
+  constructor() {
+    this.db = null;
+    this.path = null;
+    // Resolves once the database is open, rejects if it can't be opened
+    this.ready = null;
+    this.init();
+  }
+
+  init() {
+    this.path = path.resolve(process.cwd(), CONFIG.databasePath);
+    // sqlite3 queues statements until the database is open, so callers can use it right away
+    this.ready = new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.path, (err) => {
+        if (err) {
+          console.error('Error opening cache database:', err);
+          reject(err);
+        } else {
+          console.log(`Cache database connected (${this.path})`);
+          resolve();
+        }
+      });
+    });
+    // Callers that never wait on `ready` still get the error logged above
+    this.ready.catch(() => {});
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<{lastID: number, changes: number}>} Statement result
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  /**
+   * Get the first row of a query
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object|undefined>} First row or undefined
+   */
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Get all rows of a query
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Array>} Rows
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      });
+    });
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close((err) => {
+        if (err) {
+          console.error('Error closing cache database:', err);
+        } else {
+          console.log('Cache database closed');
+        }
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const database = new Database();
+
+module.exports = database;
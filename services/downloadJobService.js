@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const database = require('./database');
+const migrations = require('./migrations');
+const packageService = require('./packageService');
+const downloadService = require('./downloadService');
+const accountPool = require('../auth/accountPool');
+const CONFIG = require('../config');
+
+/**
+ * Queue of server-side package downloads. Jobs run one at a time, every file is downloaded to
+ * CONFIG.downloadDirectory/<contentId>/ and its size is checked against the package service.
+ * Partial downloads are kept as `.part` files and resumed with Range requests after a restart.
+ */
+class DownloadJobService {
+  constructor() {
+    this.processing = false;
+    this.started = false;
+    this.controller = null;
+    // Live progress of the running job, flushed to the database every CONFIG.downloadProgressInterval
+    this.progress = null;
+  }
+
+  /**
+   * Format a job row for API responses
+   * @param {Object} row - download_jobs row
+   * @param {Array<Object>} [files] - download_job_files rows
+   * @returns {Object} Job description
+   */
+  formatJob(row, files) {
+    const job = {
+      id: row.id,
+      identifier: row.identifier,
+      productId: row.product_id,
+      contentId: row.content_id,
+      market: row.market,
+      status: row.status,
+      directory: row.directory,
+      totalBytes: row.total_bytes,
+      bytesDone: row.bytes_done,
+      currentFile: row.current_file,
+      error: row.error,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+
+    // Live progress is ahead of the last database flush
+    if (this.progress?.jobId === row.id) {
+      job.bytesDone = this.progress.bytesDone;
+      job.currentFile = this.progress.currentFile;
+    }
+
+    if (files) {
+      job.files = files.map(file => ({
+        fileName: file.file_name,
+        expectedSize: file.expected_size,
+        actualSize: file.actual_size,
+        bytesDone: this.progress?.jobId === row.id && this.progress.currentFile === file.file_name
+          ? this.progress.fileBytesDone
+          : file.bytes_done,
+        status: file.status,
+        error: file.error
+      }));
+    }
+
+    return job;
+  }
+
+  /**
+   * Queue a download job
+   * @param {Object} options - Job options
+   * @param {string} options.identifier - Product ID or content ID as requested
+   * @param {string|null} options.productId - Product ID (null for content IDs of unknown products)
+   * @param {string} options.contentId - Package content ID to download
+   * @param {string} options.market - Market code the package was resolved for
+   * @returns {Promise<Object>} Queued job
+   */
+  async createJob({ identifier, productId, contentId, market }) {
+    await migrations.ready();
+    const directory = path.resolve(CONFIG.downloadDirectory, contentId);
+    const { lastID } = await database.run(
+      `INSERT INTO download_jobs (identifier, product_id, content_id, market, directory) VALUES (?, ?, ?, ?, ?)`,
+      [identifier, productId, contentId, market, directory]
+    );
+
+    this.processQueue();
+    return this.getJob(lastID);
+  }
+
+  /**
+   * List the most recent jobs
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array<Object>>} Jobs, newest first
+   */
+  async listJobs(limit = 20) {
+    await migrations.ready();
+    const rows = await database.all(`SELECT * FROM download_jobs ORDER BY id DESC LIMIT ?`, [limit]);
+    return rows.map(row => this.formatJob(row));
+  }
+
+  /**
+   * Get a job with its per-file progress
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Job or null if unknown
+   */
+  async getJob(id) {
+    await migrations.ready();
+    const row = await database.get(`SELECT * FROM download_jobs WHERE id = ?`, [id]);
+    if (!row) return null;
+
+    const files = await database.all(`SELECT * FROM download_job_files WHERE job_id = ? ORDER BY rowid`, [id]);
+    return this.formatJob(row, files);
+  }
+
+  /**
+   * Requeue jobs interrupted by a restart and start working through the queue
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await migrations.ready();
+    const { changes } = await database.run(`UPDATE download_jobs SET status = 'queued' WHERE status = 'running'`);
+    if (changes > 0) {
+      console.log(`Resuming ${changes} interrupted download job(s)`);
+    }
+    this.processQueue();
+  }
+
+  /**
+   * Stop the queue; the running download is aborted and resumed on the next start
+   */
+  stop() {
+    this.started = false;
+    this.controller?.abort();
+  }
+
+  /**
+   * Run queued jobs one at a time until the queue is empty
+   */
+  async processQueue() {
+    if (!this.started || this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.started) {
+        const job = await database.get(`SELECT * FROM download_jobs WHERE status = 'queued' ORDER BY id LIMIT 1`);
+        if (!job) break;
+        await this.runJob(job);
+      }
+    } catch (err) {
+      console.error('Download job queue failed:', err);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Download and check every file of a job
+   * @param {Object} job - download_jobs row
+   */
+  async runJob(job) {
+    console.log(`Starting download job ${job.id} for ${job.content_id}`);
+    this.controller = new AbortController();
+    await database.run(
+      `UPDATE download_jobs SET status = 'running', error = NULL, started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?`,
+      [job.id]
+    );
+
+    try {
+      const session = await accountPool.acquireAccount();
+      if (!session) {
+        throw new Error('No usable Xbox Live account');
+      }
+
+      // Fresh URLs on every run, CDN links from an earlier run may have expired
+      const files = await packageService.fetchPackageInfo(job.content_id, session.xsts);
+      if (!files) {
+        throw new Error('Package not found');
+      }
+
+      for (const file of files) {
+        await database.run(
+          `INSERT OR IGNORE INTO download_job_files (job_id, file_name, expected_size) VALUES (?, ?, ?)`,
+          [job.id, file.fileName, file.size ?? null]
+        );
+      }
+      const totalBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+      await database.run(`UPDATE download_jobs SET total_bytes = ? WHERE id = ?`, [totalBytes, job.id]);
+      await fs.promises.mkdir(job.directory, { recursive: true });
+
+      const fileRows = await database.all(`SELECT * FROM download_job_files WHERE job_id = ?`, [job.id]);
+      const rowsByName = new Map(fileRows.map(row => [row.file_name, row]));
+      this.progress = {
+        jobId: job.id,
+        currentFile: null,
+        fileBytesDone: 0,
+        bytesDone: fileRows.filter(row => row.status === 'verified').reduce((sum, row) => sum + row.bytes_done, 0)
+      };
+
+      for (const file of files) {
+        if (rowsByName.get(file.fileName)?.status === 'verified') continue;
+        await this.downloadFile(job, file, session.xsts);
+      }
+
+      const results = await database.all(`SELECT status FROM download_job_files WHERE job_id = ?`, [job.id]);
+      const unverified = results.filter(row => row.status !== 'verified').length;
+      await this.finishJob(job.id, unverified === 0 ? 'completed' : 'failed',
+        unverified === 0 ? null : `${unverified} file(s) failed verification`);
+    } catch (err) {
+      if (this.controller.signal.aborted) {
+        // Stopped for shutdown, picked up again by the next start()
+        await this.flushProgress().catch(() => {});
+        console.log(`Download job ${job.id} interrupted, it will resume on the next start`);
+      } else {
+        console.error(`Download job ${job.id} failed:`, err);
+        await this.finishJob(job.id, 'failed', err.message);
+      }
+    } finally {
+      this.progress = null;
+      this.controller = null;
+    }
+  }
+
+  /**
+   * Record the final state of a job
+   * @param {number} id - Job ID
+   * @param {string} status - "completed" or "failed"
+   * @param {string|null} error - Failure reason
+   */
+  async finishJob(id, status, error) {
+    await this.flushProgress();
+    await database.run(
+      `UPDATE download_jobs SET status = ?, error = ?, current_file = NULL, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [status, error, id]
+    );
+    console.log(`Download job ${id} ${status}${error ? `: ${error}` : ''}`);
+  }
+
+  /**
+   * Write the live progress of the running job to the database
+   */
+  async flushProgress() {
+    const progress = this.progress;
+    if (!progress) return;
+
+    await database.run(
+      `UPDATE download_jobs SET bytes_done = ?, current_file = ? WHERE id = ?`,
+      [progress.bytesDone, progress.currentFile, progress.jobId]
+    );
+    if (progress.currentFile) {
+      await database.run(
+        `UPDATE download_job_files SET bytes_done = ? WHERE job_id = ? AND file_name = ?`,
+        [progress.fileBytesDone, progress.jobId, progress.currentFile]
+      );
+    }
+  }
+
+  /**
+   * Record the outcome of one file
+   * @param {number} jobId - Job ID
+   * @param {string} fileName - File name
+   * @param {Object} result - status, actualSize, bytesDone and error
+   */
+  async setFileResult(jobId, fileName, { status, actualSize = null, bytesDone = 0, error = null }) {
+    await database.run(
+      `UPDATE download_job_files SET status = ?, actual_size = ?, bytes_done = ?, error = ? WHERE job_id = ? AND file_name = ?`,
+      [status, actualSize, bytesDone, error, jobId, fileName]
+    );
+  }
+
+  /**
+   * Download one file, resuming a previous `.part` file, and check its size
+   * @param {Object} job - download_jobs row
+   * @param {Object} file - File from fetchPackageInfo
+   * @param {Object} xsts - XSTS authentication token
+   */
+  async downloadFile(job, file, xsts) {
+    const fileName = path.basename(file.fileName);
+    if (!fileName || fileName !== file.fileName || fileName === '..') {
+      await this.setFileResult(job.id, file.fileName, { status: 'failed', error: 'Unsafe file name' });
+      return;
+    }
+
+    const finalPath = path.join(job.directory, fileName);
+    const partPath = `${finalPath}.part`;
+    const expectedSize = file.size ?? null;
+    const sizeOf = async (filePath) => (await fs.promises.stat(filePath).catch(() => null))?.size ?? null;
+
+    // Finished before the restart, but not recorded yet
+    const existingSize = await sizeOf(finalPath);
+    if (existingSize !== null) {
+      if (existingSize === expectedSize) {
+        this.progress.bytesDone += existingSize;
+        await this.recordVerification(job.id, file.fileName, expectedSize, existingSize);
+        return;
+      }
+      await fs.promises.rm(finalPath, { force: true });
+    }
+
+    let offset = (await sizeOf(partPath)) ?? 0;
+    if (expectedSize !== null && offset > expectedSize) {
+      offset = 0;
+    }
+
+    const progress = this.progress;
+    const baseBytesDone = progress.bytesDone;
+    progress.currentFile = file.fileName;
+    progress.fileBytesDone = offset;
+    progress.bytesDone = baseBytesDone + offset;
+    await database.run(`UPDATE download_job_files SET status = 'downloading', error = NULL WHERE job_id = ? AND file_name = ?`,
+      [job.id, file.fileName]);
+    await this.flushProgress();
+
+    try {
+      if (expectedSize === null || offset < expectedSize) {
+        const upstream = await downloadService.openFile({
+          file,
+          contentId: job.content_id,
+          xsts,
+          method: 'GET',
+          range: offset > 0 ? `bytes=${offset}-` : undefined,
+          signal: this.controller.signal
+        });
+        if (!upstream) {
+          throw new Error('No CDN could serve the file');
+        }
+
+        const { response } = upstream;
+        if (response.status === 416) {
+          // Nothing left to fetch past the offset, the size check decides
+          response.body?.cancel().catch(() => {});
+        } else {
+          if (response.status === 200 && offset > 0) {
+            console.warn(`CDN ignored the range for ${file.fileName}, downloading it again`);
+            offset = 0;
+            progress.fileBytesDone = 0;
+            progress.bytesDone = baseBytesDone;
+          }
+
+          let lastFlush = Date.now();
+          const counter = new Transform({
+            transform: (chunk, encoding, callback) => {
+              progress.fileBytesDone += chunk.length;
+              progress.bytesDone += chunk.length;
+              if (Date.now() - lastFlush >= CONFIG.downloadProgressInterval) {
+                lastFlush = Date.now();
+                this.flushProgress().catch(err => console.error('Error saving download progress:', err));
+              }
+              callback(null, chunk);
+            }
+          });
+
+          await pipeline(
+            Readable.fromWeb(response.body),
+            counter,
+            fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }),
+            { signal: this.controller.signal }
+          );
+        }
+      }
+
+      // Only a verified file gets its final name, a short .part file is resumed by the next job
+      const actualSize = (await sizeOf(partPath)) ?? 0;
+      if (actualSize === expectedSize) {
+        await fs.promises.rename(partPath, finalPath);
+      }
+      progress.fileBytesDone = actualSize;
+      progress.bytesDone = baseBytesDone + actualSize;
+      await this.recordVerification(job.id, file.fileName, expectedSize, actualSize);
+    } catch (err) {
+      if (this.controller.signal.aborted) throw err;
+      console.error(`Failed to download ${file.fileName} for job ${job.id}:`, err);
+      // The .part file is kept so a later job for this package resumes it
+      await this.setFileResult(job.id, file.fileName, {
+        status: 'failed',
+        bytesDone: progress.fileBytesDone,
+        error: err.message
+      });
+      progress.bytesDone = baseBytesDone;
+    } finally {
+      progress.currentFile = null;
+    }
+  }
+
+  /**
+   * Compare a downloaded file against the size reported by the package service
+   * @param {number} jobId - Job ID
+   * @param {string} fileName - File name
+   * @param {number|null} expectedSize - Size from the package service
+   * @param {number} actualSize - Size on disk
+   */
+  async recordVerification(jobId, fileName, expectedSize, actualSize) {
+    if (actualSize === expectedSize) {
+      await this.setFileResult(jobId, fileName, { status: 'verified', actualSize, bytesDone: actualSize });
+      return;
+    }
+
+    await this.setFileResult(jobId, fileName, {
+      status: 'size_mismatch',
+      actualSize,
+      bytesDone: actualSize,
+      error: expectedSize === null
+        ? 'Package service reported no size'
+        : `Expected ${expectedSize} bytes, got ${actualSize}`
+    });
+  }
+}
+
+// Create singleton instance
+const downloadJobService = new DownloadJobService();
+
+module.exports = downloadJobService;
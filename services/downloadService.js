@@ -0,0 +1,88 @@
+const packageService = require("./packageService");
+const mirrorProbeService = require("./mirrorProbeService");
+
+// Upstream statuses that are passed through to the client
+const PASS_THROUGH_STATUSES = [200, 206, 416];
+
+/**
+ * Download URLs known for a formatted package file
+ * @param {Object} file - File from filterAndFormatPackageFiles
+ * @returns {Array<string>} Candidate URLs, best first according to remembered mirror probes
+ */
+function getCandidateUrls(file) {
+  // Files cached before mirrors were kept only have `url`
+  const urls = file.mirrors?.length ? file.mirrors : [file.url].filter(Boolean);
+  return mirrorProbeService.sortByProbe(urls);
+}
+
+/**
+ * Request a file from one CDN URL
+ * @param {string} url - CDN URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - "GET" or "HEAD"
+ * @param {string} [options.range] - Range header from the client
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when the client goes away
+ * @returns {Promise<Response|null>} Response if usable, null if this CDN failed
+ */
+async function tryUrl(url, { method, range, signal }) {
+  try {
+    const response = await fetch(url, {
+      method,
+      signal,
+      // Keep the CDN from compressing, so lengths and ranges refer to the file bytes
+      headers: { "Accept-Encoding": "identity", ...(range && { Range: range }) },
+    });
+
+    if (PASS_THROUGH_STATUSES.includes(response.status)) {
+      return response;
+    }
+
+    console.warn(`CDN returned ${response.status} for ${url}, trying next CDN`);
+    response.body?.cancel().catch(() => {});
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`CDN request failed for ${url}, trying next CDN:`, error.message);
+  }
+  return null;
+}
+
+/**
+ * Open a package file on the first CDN that answers.
+ * When every known URL fails (e.g. expired links), the package service is asked for fresh CDN roots.
+ * @param {Object} options - Download options
+ * @param {Object} options.file - File from filterAndFormatPackageFiles
+ * @param {string} options.contentId - Package content ID
+ * @param {Object} options.xsts - XSTS authentication token
+ * @param {string} options.method - "GET" or "HEAD"
+ * @param {string} [options.range] - Range header from the client
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when the client goes away
+ * @returns {Promise<{response: Response, url: string}|null>} Upstream response or null if no CDN could serve the file
+ */
+async function openFile({ file, contentId, xsts, method, range, signal }) {
+  const tried = new Set();
+
+  for (const url of getCandidateUrls(file)) {
+    tried.add(url);
+    const response = await tryUrl(url, { method, range, signal });
+    if (response) return { response, url };
+  }
+
+  console.log(`Known CDN URLs failed for ${file.fileName}, fetching fresh CDN roots`);
+  const packageFiles = await packageService.fetchRawPackageFiles(contentId, xsts);
+  const rawFile = packageFiles?.find(f => f.FileName === file.fileName);
+  const freshUrls = (rawFile?.CdnRootPaths || [])
+    .map(root => root + rawFile.RelativeUrl)
+    .filter(url => !tried.has(url));
+
+  for (const url of freshUrls) {
+    const response = await tryUrl(url, { method, range, signal });
+    if (response) return { response, url };
+  }
+
+  return null;
+}
+
+module.exports = {
+  getCandidateUrls,
+  openFile,
+};
@@ -0,0 +1,165 @@
+/**
+ * Download manifests built from the `files` array of a lookup response
+ */
+
+/**
+ * Every URL a file can be downloaded from, best first
+ * @param {Object} file - File from a lookup response
+ * @returns {Array<string>} Mirror URLs
+ */
+function getUrls(file) {
+  return file.mirrors?.length ? file.mirrors : [file.url].filter(Boolean);
+}
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Quote a value for POSIX shells
+ * @param {string} value - Raw value
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * aria2 input file: mirrors of one file are TAB-separated on one line, options follow indented
+ * @param {Array<Object>} files - Files from a lookup response
+ * @returns {string} aria2 input file
+ */
+function renderAria2(files) {
+  return files
+    .filter(file => getUrls(file).length > 0)
+    .map(file => `${getUrls(file).join("\t")}\n  out=${file.fileName}\n`)
+    .join("");
+}
+
+/**
+ * Metalink 4 (RFC 5854) document listing every mirror and the size of each file
+ * @param {Array<Object>} files - Files from a lookup response
+ * @returns {string} Metalink XML
+ */
+function renderMetalink(files) {
+  const entries = files.map(file => {
+    const lines = [`  <file name="${escapeXml(file.fileName)}">`];
+    if (file.size !== undefined && file.size !== null) {
+      lines.push(`    <size>${escapeXml(file.size)}</size>`);
+    }
+    getUrls(file).forEach((url, index) => {
+      lines.push(`    <url priority="${index + 1}">${escapeXml(url)}</url>`);
+    });
+    lines.push("  </file>");
+    return lines.join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<metalink xmlns="urn:ietf:params:xml:ns:metalink">',
+    "  <generator>msixvcdl-expressjs</generator>",
+    ...entries,
+    "</metalink>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Shell script downloading every file with curl (resumable), falling back to the next mirror on failure
+ * @param {Array<Object>} files - Files from a lookup response
+ * @returns {string} Shell script
+ */
+function renderCurl(files) {
+  const commands = files
+    .filter(file => getUrls(file).length > 0)
+    .map(file => getUrls(file)
+      .map(url => `curl -fL -C - -o ${shellQuote(file.fileName)} ${shellQuote(url)}`)
+      .join(" ||\n  "));
+
+  return ["#!/bin/sh", "set -e", "", ...commands, ""].join("\n");
+}
+
+/**
+ * CSV with one row per file, mirrors are space-separated
+ * @param {Array<Object>} files - Files from a lookup response
+ * @returns {string} CSV text
+ */
+function renderCsv(files) {
+  const rows = [["fileName", "size", "url", "mirrors"]];
+  for (const file of files) {
+    rows.push([file.fileName, file.size, file.url, getUrls(file).join(" ")]);
+  }
+  return rows.map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// Export formats with the media type they are served as (also used to match `Accept`)
+const FORMATS = {
+  aria2: { contentType: "text/x-aria2", extension: "aria2.txt", render: renderAria2 },
+  metalink: { contentType: "application/metalink4+xml", extension: "meta4", render: renderMetalink },
+  curl: { contentType: "text/x-shellscript", extension: "sh", render: renderCurl },
+  csv: { contentType: "text/csv", extension: "csv", render: renderCsv },
+};
+
+/**
+ * Pick the response format from the `format` query parameter, or else the `Accept` header
+ * @param {Object} req - Express request
+ * @returns {{format: string}|{error: string}} "json" or an export format name
+ */
+function negotiateFormat(req) {
+  const requested = req.query.format;
+  if (requested !== undefined) {
+    const format = String(requested).toLowerCase();
+    if (format === "json" || FORMATS[format]) {
+      return { format };
+    }
+    return { error: `Invalid format, use one of: json, ${Object.keys(FORMATS).join(", ")}` };
+  }
+
+  // JSON stays the default for `*/*` and missing Accept headers
+  const accepted = req.accepts(["application/json", ...Object.values(FORMATS).map(f => f.contentType)]);
+  const format = Object.keys(FORMATS).find(name => FORMATS[name].contentType === accepted);
+  return { format: format || "json" };
+}
+
+/**
+ * Render a download manifest
+ * @param {string} format - Export format name
+ * @param {Array<Object>} files - Files from a lookup response
+ * @param {string} name - Base name for the suggested file name
+ * @returns {{contentType: string, fileName: string, body: string}} Manifest
+ */
+function renderManifest(format, files, name) {
+  const { contentType, extension, render } = FORMATS[format];
+  return {
+    contentType,
+    fileName: `${name}.${extension}`,
+    body: render(files),
+  };
+}
+
+module.exports = {
+  FORMATS,
+  escapeXml,
+  negotiateFormat,
+  renderManifest,
+};
@@ -0,0 +1,190 @@
+/**
+ * Atom and RSS feeds of package updates built from package_cache rows
+ */
+const { escapeXml } = require("./exportService");
+
+const FEED_TITLE = "MSIXVC package updates";
+
+// Feed formats with the media type they are served as
+const FEED_FORMATS = {
+  atom: "application/atom+xml",
+  rss: "application/rss+xml",
+};
+
+/**
+ * Human readable file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "1.5 GB"
+ */
+function formatBytes(bytes) {
+  if (typeof bytes !== "number") return "unknown size";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Parse a JSON column, tolerating rows written before the column existed
+ * @param {string|null} value - Column value
+ * @returns {*} Parsed value or null
+ */
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Collapse rows of the same package version into one, like versionService.buildTimeline: the latest file list,
+ * dated when the version was first cached. Re-cached rows (refreshes, legacy rows) are not updates.
+ * @param {Array<Object>} rows - Rows from cacheService.getCacheHistory, most recent first
+ * @returns {Array<Object>} One row per product, market, content ID and LastModifiedDate, most recently first cached first
+ */
+function dedupeRows(rows) {
+  const versions = new Map();
+  for (const row of rows) {
+    const key = [row.product_id, row.market || "US", row.content_id?.toLowerCase(), row.last_modified_date].join("|");
+    const version = versions.get(key);
+    if (!version) {
+      versions.set(key, { ...row });
+    } else if (row.cached_at < version.cached_at) {
+      version.cached_at = row.cached_at;
+    }
+  }
+  return [...versions.values()].sort((a, b) => (a.cached_at < b.cached_at ? 1 : a.cached_at > b.cached_at ? -1 : 0));
+}
+
+/**
+ * Turn a cache row into a feed entry
+ * @param {Object} row - Row from cacheService.getCacheHistory
+ * @param {string} baseUrl - Absolute base URL of the service, e.g. "https://host"
+ * @returns {Object} Entry with id, title, link, updated and summary lines
+ */
+function buildEntry(row, baseUrl) {
+  const metadata = parseJson(row.metadata);
+  const files = (parseJson(row.files_data) || []).filter(file => !file.auxiliary);
+  const name = metadata?.title || row.product_id;
+  const market = row.market || "US";
+
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone designator
+  const cachedAt = new Date(`${row.cached_at.replace(" ", "T")}Z`);
+
+  return {
+    id: `urn:msixvc:${row.product_id}:${market}:${row.content_id}:${row.last_modified_date}`,
+    title: `${name} updated (${market})`,
+    link: `${baseUrl}/msixvc/${encodeURIComponent(row.product_id)}?market=${encodeURIComponent(market)}`,
+    updated: Number.isNaN(cachedAt.getTime()) ? new Date() : cachedAt,
+    author: metadata?.publisher || null,
+    lines: [
+      `Product ${row.product_id}, content ID ${row.content_id}`,
+      `Last modified ${row.last_modified_date}`,
+      ...files.map(file => `${file.fileName}: ${formatBytes(file.size)} (${file.size} bytes)`),
+    ],
+  };
+}
+
+/**
+ * Render an HTML list for feed readers
+ * @param {Array<string>} lines - Summary lines
+ * @returns {string} HTML fragment
+ */
+function renderHtml(lines) {
+  return `<ul>${lines.map(line => `<li>${escapeXml(line)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * Atom 1.0 (RFC 4287) feed
+ * @param {Array<Object>} entries - Entries from buildEntry
+ * @param {string} selfUrl - Absolute URL of the feed
+ * @returns {string} Atom XML
+ */
+function renderAtom(entries, selfUrl) {
+  const updated = entries[0]?.updated || new Date();
+  const items = entries.map(entry => [
+    "  <entry>",
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(entry.link)}"/>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    ...(entry.author ? [`    <author><name>${escapeXml(entry.author)}</name></author>`] : []),
+    `    <content type="html">${escapeXml(renderHtml(entry.lines))}</content>`,
+    "  </entry>",
+  ].join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${FEED_TITLE}</title>`,
+    `  <link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    "  <author><name>msixvcdl-expressjs</name></author>",
+    ...items,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * RSS 2.0 feed
+ * @param {Array<Object>} entries - Entries from buildEntry
+ * @param {string} selfUrl - Absolute URL of the feed
+ * @returns {string} RSS XML
+ */
+function renderRss(entries, selfUrl) {
+  const items = entries.map(entry => [
+    "    <item>",
+    `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.link)}</link>`,
+    `      <pubDate>${entry.updated.toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(renderHtml(entry.lines))}</description>`,
+    "    </item>",
+  ].join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${FEED_TITLE}</title>`,
+    `    <link>${escapeXml(selfUrl)}</link>`,
+    `    <atom:link rel="self" href="${escapeXml(selfUrl)}" type="application/rss+xml"/>`,
+    "    <description>Package updates seen by the MSIXVC download service</description>",
+    ...(entries[0] ? [`    <lastBuildDate>${entries[0].updated.toUTCString()}</lastBuildDate>`] : []),
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render a feed of package updates
+ * @param {string} format - "atom" or "rss"
+ * @param {Array<Object>} rows - Rows from cacheService.getCacheHistory, most recent first
+ * @param {Object} urls - Absolute URLs
+ * @param {string} urls.baseUrl - Base URL of the service
+ * @param {string} urls.selfUrl - URL of the feed itself
+ * @returns {{contentType: string, body: string}} Feed document
+ */
+function renderFeed(format, rows, { baseUrl, selfUrl }) {
+  const entries = dedupeRows(rows).map(row => buildEntry(row, baseUrl));
+  return {
+    contentType: FEED_FORMATS[format],
+    body: format === "rss" ? renderRss(entries, selfUrl) : renderAtom(entries, selfUrl),
+  };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  formatBytes,
+  renderFeed,
+};
@@ -0,0 +1,88 @@
+// Markets (ISO 3166-1 alpha-2) served by the Microsoft Store Display Catalog
+const MARKETS = new Set([
+  "AD", "AE", "AF", "AG", "AI", "AL", "AM", "AO", "AQ", "AR", "AS", "AT", "AU", "AW", "AX", "AZ",
+  "BA", "BB", "BD", "BE", "BF", "BG", "BH", "BI", "BJ", "BL", "BM", "BN", "BO", "BQ", "BR", "BS",
+  "BT", "BV", "BW", "BY", "BZ", "CA", "CC", "CD", "CF", "CG", "CH", "CI", "CK", "CL", "CM", "CN",
+  "CO", "CR", "CV", "CW", "CX", "CY", "CZ", "DE", "DJ", "DK", "DM", "DO", "DZ", "EC", "EE", "EG",
+  "EH", "ER", "ES", "ET", "FI", "FJ", "FK", "FM", "FO", "FR", "GA", "GB", "GD", "GE", "GF", "GG",
+  "GH", "GI", "GL", "GM", "GN", "GP", "GQ", "GR", "GS", "GT", "GU", "GW", "GY", "HK", "HM", "HN",
+  "HR", "HT", "HU", "ID", "IE", "IL", "IM", "IN", "IO", "IQ", "IS", "IT", "JE", "JM", "JO", "JP",
+  "KE", "KG", "KH", "KI", "KM", "KN", "KR", "KW", "KY", "KZ", "LA", "LB", "LC", "LI", "LK", "LR",
+  "LS", "LT", "LU", "LV", "LY", "MA", "MC", "MD", "ME", "MF", "MG", "MH", "MK", "ML", "MM", "MN",
+  "MO", "MP", "MQ", "MR", "MS", "MT", "MU", "MV", "MW", "MX", "MY", "MZ", "NA", "NC", "NE", "NF",
+  "NG", "NI", "NL", "NO", "NP", "NR", "NU", "NZ", "OM", "PA", "PE", "PF", "PG", "PH", "PK", "PL",
+  "PM", "PN", "PR", "PS", "PT", "PW", "PY", "QA", "RE", "RO", "RS", "RU", "RW", "SA", "SB", "SC",
+  "SE", "SG", "SH", "SI", "SJ", "SK", "SL", "SM", "SN", "SO", "SR", "ST", "SV", "SX", "SZ", "TC",
+  "TD", "TF", "TG", "TH", "TJ", "TK", "TL", "TM", "TN", "TO", "TR", "TT", "TV", "TW", "TZ", "UA",
+  "UG", "UM", "US", "UY", "UZ", "VA", "VC", "VE", "VG", "VI", "VN", "VU", "WF", "WS", "YE", "YT",
+  "ZA", "ZM", "ZW",
+]);
+
+// Primary language subtags (ISO 639-1) with Store localizations
+const LANGUAGES = new Set([
+  "af", "am", "ar", "as", "az", "be", "bg", "bn", "bs", "ca", "cs", "cy", "da", "de", "el", "en",
+  "es", "et", "eu", "fa", "fi", "fil", "fr", "ga", "gd", "gl", "gu", "ha", "he", "hi", "hr", "hu",
+  "hy", "id", "ig", "is", "it", "ja", "ka", "kk", "km", "kn", "ko", "kok", "ky", "lb", "lo", "lt",
+  "lv", "mi", "mk", "ml", "mn", "mr", "ms", "mt", "nb", "ne", "nl", "nn", "or", "pa", "pl", "prs",
+  "ps", "pt", "qu", "ro", "ru", "rw", "sd", "si", "sk", "sl", "sq", "sr", "sv", "sw", "ta", "te",
+  "tg", "th", "ti", "tk", "tn", "tr", "tt", "ug", "uk", "ur", "uz", "vi", "wo", "xh", "yo", "zh",
+  "zu",
+]);
+
+/**
+ * Normalize and validate a market code
+ * @param {string} market - Market code, e.g. "us" or "US"
+ * @returns {string|null} Upper-cased market code or null if unknown
+ */
+function normalizeMarket(market) {
+  if (typeof market !== "string") return null;
+  const code = market.trim().toUpperCase();
+  return MARKETS.has(code) ? code : null;
+}
+
+/**
+ * Normalize and validate a single language tag
+ * @param {string} language - Language tag, e.g. "en-us", "de" or "zh-Hans-CN"
+ * @returns {string|null} Canonically cased tag or null if unknown
+ */
+function normalizeLanguage(language) {
+  if (typeof language !== "string") return null;
+
+  const [primary, ...subtags] = language.trim().split("-");
+  if (!LANGUAGES.has(primary.toLowerCase())) return null;
+
+  const normalizedSubtags = [];
+  for (const subtag of subtags) {
+    if (/^[A-Za-z]{4}$/.test(subtag)) {
+      normalizedSubtags.push(subtag[0].toUpperCase() + subtag.slice(1).toLowerCase()); // script
+    } else if (/^([A-Za-z]{2}|[0-9]{3})$/.test(subtag)) {
+      normalizedSubtags.push(subtag.toUpperCase()); // region
+    } else {
+      return null;
+    }
+  }
+
+  return [primary.toLowerCase(), ...normalizedSubtags].join("-");
+}
+
+/**
+ * Build the Display Catalog `languages` value from a comma-separated `lang` parameter
+ * "neutral" is always appended so language-neutral packages and properties are still returned
+ * @param {string} lang - Comma-separated language tags
+ * @returns {string|null} Languages value, or null if any tag is unknown
+ */
+function normalizeLanguages(lang) {
+  if (typeof lang !== "string" || !lang.trim()) return null;
+
+  const tags = lang.split(",").map(tag => tag.trim()).filter(tag => tag && tag.toLowerCase() !== "neutral");
+  const normalized = tags.map(normalizeLanguage);
+  if (normalized.length === 0 || normalized.includes(null)) return null;
+
+  return [...new Set(normalized), "neutral"].join(",");
+}
+
+module.exports = {
+  normalizeMarket,
+  normalizeLanguage,
+  normalizeLanguages,
+};
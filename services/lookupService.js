@@ -0,0 +1,101 @@
+const packageService = require("./packageService");
+const cacheService = require("./cacheService");
+const CONFIG = require("../config");
+
+/**
+ * Resolve the package files for a content ID, using the cache.
+ * Product lookups are validated against LastModifiedDate, direct content ID lookups are fresh for CONFIG.contentCacheTtl.
+ * @param {Object} options - Lookup options
+ * @param {string|null} options.productId - Product ID (null for direct content ID lookups of unknown products)
+ * @param {string} options.contentId - Package content ID
+ * @param {string|null} options.lastModifiedDate - LastModifiedDate from Display Catalog, used to validate the cache
+ * @param {string} [options.market] - Market code the product data was fetched for (default: "US")
+ * @param {Object|null} [options.metadata] - Product metadata stored along with newly cached files
+ * @param {Object} options.xsts - XSTS authentication token
+ * @param {Function} [options.beforeUpstreamFetch] - Async hook called before reaching the package service; return false to skip the fetch
+ * @param {boolean} [options.includeAuxFiles=false] - Also return the .phf/.xsp hash-table files
+ * @param {boolean} [options.refresh=false] - Skip the cached files and replace them with fresh ones
+ * @returns {Promise<{files: Array|null, usingCachedData: boolean, blocked: boolean}>} Files (null if the package wasn't found)
+ */
+async function resolveFiles({ productId, contentId, lastModifiedDate, market = "US", metadata = null, xsts, beforeUpstreamFetch, includeAuxFiles = false, refresh = false }) {
+  const canCache = !!(productId && lastModifiedDate);
+  const canCacheContent = !canCache && CONFIG.contentCacheTtl > 0;
+  const selectFiles = (files) => includeAuxFiles ? files : files.filter(file => !file.auxiliary);
+
+  // Check cache first
+  if ((canCache || canCacheContent) && !refresh) {
+    const key = canCache ? `product ID: ${productId}` : `content ID: ${contentId}`;
+    const counter = canCache ? "packages" : "contents";
+    try {
+      const cachedData = canCache
+        ? await cacheService.getCachedPackageData(productId, lastModifiedDate, contentId, market)
+        : await cacheService.getCachedContentFiles(contentId, CONFIG.contentCacheTtl);
+      // Entries cached before side files were kept can't answer for them
+      const hasAuxInfo = cachedData?.files.some(file => file.auxiliary !== undefined);
+      if (cachedData && (hasAuxInfo || !includeAuxFiles)) {
+        console.log(`Using cached data for ${key}`);
+        cacheService.countLookup(counter, "hits");
+        // Entries cached before every mirror was kept only have `url`
+        const files = cachedData.files.map(file => file.mirrors ? file : { ...file, mirrors: [file.url].filter(Boolean) });
+        return { files: selectFiles(files), usingCachedData: true, blocked: false };
+      }
+      console.log(`Cache miss for ${key}, fetching fresh data`);
+      cacheService.countLookup(counter, "misses");
+    } catch (cacheErr) {
+      console.error('Cache error, falling back to direct fetch:', cacheErr);
+    }
+  }
+
+  if (beforeUpstreamFetch && !(await beforeUpstreamFetch())) {
+    return { files: null, usingCachedData: false, blocked: true };
+  }
+
+  const files = await packageService.fetchPackageInfo(contentId, xsts);
+  if (!files) {
+    return { files: null, usingCachedData: false, blocked: false };
+  }
+
+  // Cache only the files (expensive part)
+  if (canCache || canCacheContent) {
+    try {
+      if (canCache) {
+        await cacheService.cachePackageData(productId, contentId, lastModifiedDate, files, market, metadata);
+      } else {
+        await cacheService.cacheContentFiles(contentId, files);
+      }
+    } catch (cacheErr) {
+      console.error('Failed to cache data:', cacheErr);
+      // Continue anyway - caching failure shouldn't break the request
+    }
+  }
+
+  return { files: selectFiles(files), usingCachedData: false, blocked: false };
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping the input order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index)
+ * @returns {Promise<Array>} Mapped results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  resolveFiles,
+  mapWithConcurrency,
+};
@@ -0,0 +1,68 @@
+/**
+ * Small least-recently-used cache on top of Map insertion order
+ */
+class LruCache {
+  /**
+   * @param {number} maxSize - Entries kept before the least recently used one is evicted
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key - Key
+   * @returns {*} Value, or undefined if not cached
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  /**
+   * Add or replace an entry, evicting the least recently used one when full
+   * @param {string} key - Key
+   * @param {*} value - Value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove the entries whose key starts with a prefix
+   * @param {string} prefix - Key prefix
+   */
+  deletePrefix(prefix) {
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Describe the cache
+   * @returns {Object} Size and hit counters
+   */
+  getStats() {
+    return { size: this.entries.size, maxSize: this.maxSize, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,24 @@
+/**
+ * Package files per product, the original cache table
+ */
+module.exports = {
+  name: "package_cache",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS package_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id TEXT NOT NULL,
+        content_id TEXT NOT NULL,
+        last_modified_date TEXT NOT NULL,
+        files_data TEXT NOT NULL,
+        cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_product_cached 
+      ON package_cache(product_id, cached_at DESC)
+    `);
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Hashed, scoped API keys
+ */
+module.exports = {
+  name: "api_keys",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        label TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        revoked_at DATETIME,
+        last_used_at DATETIME
+      )
+    `);
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Request counters per client, bucket and window
+ */
+module.exports = {
+  name: "rate_limits",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        client_key TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        window_start INTEGER NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (client_key, bucket, window_start)
+      )
+    `);
+  },
+};
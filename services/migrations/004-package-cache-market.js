@@ -0,0 +1,10 @@
+/**
+ * Key cached packages by market, rows cached before markets existed are US
+ */
+module.exports = {
+  name: "package_cache_market",
+
+  async up(db) {
+    await db.addColumn("package_cache", "market", "TEXT NOT NULL DEFAULT 'US'");
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Server-side download jobs and the progress of each of their files
+ */
+module.exports = {
+  name: "download_jobs",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS download_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identifier TEXT NOT NULL,
+        product_id TEXT,
+        content_id TEXT NOT NULL,
+        market TEXT NOT NULL DEFAULT 'US',
+        status TEXT NOT NULL DEFAULT 'queued',
+        directory TEXT NOT NULL,
+        total_bytes INTEGER,
+        bytes_done INTEGER NOT NULL DEFAULT 0,
+        current_file TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS download_job_files (
+        job_id INTEGER NOT NULL,
+        file_name TEXT NOT NULL,
+        expected_size INTEGER,
+        actual_size INTEGER,
+        bytes_done INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        PRIMARY KEY (job_id, file_name)
+      )
+    `);
+  },
+};
@@ -0,0 +1,10 @@
+/**
+ * Product metadata (title, publisher, ...) at the time a row was cached, used by the update feed
+ */
+module.exports = {
+  name: "package_cache_metadata",
+
+  async up(db) {
+    await db.addColumn("package_cache", "metadata", "TEXT");
+  },
+};
@@ -0,0 +1,19 @@
+/**
+ * Display Catalog responses, so lookups within the freshness window need no outbound call
+ */
+module.exports = {
+  name: "product_cache",
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS product_cache (
+        product_id TEXT NOT NULL,
+        market TEXT NOT NULL,
+        languages TEXT NOT NULL,
+        products_data TEXT NOT NULL,
+        fetched_at INTEGER NOT NULL,
+        PRIMARY KEY (product_id, market, languages)
+      )
+    `);
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Content ID lookups: their cached files, the product shipping each content ID, and an index to find packages by content ID
+ */
+module.exports = {
+  name: "content_cache",
+
+  async up(db) {
+    // Kept for CONFIG.contentCacheTtl since there is no LastModifiedDate to check
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS content_cache (
+        content_id TEXT PRIMARY KEY,
+        files_data TEXT NOT NULL,
+        cached_at INTEGER NOT NULL
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS content_products (
+        content_id TEXT PRIMARY KEY,
+        product_id TEXT NOT NULL,
+        mapped_at INTEGER NOT NULL
+      )
+    `);
+
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_content_cached 
+      ON package_cache(content_id, cached_at DESC)
+    `);
+  },
+};
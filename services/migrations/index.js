@@ -0,0 +1,152 @@
+/**
+ * Versioned schema migrations for the SQLite database.
+ *
+ * Each `NNN-name.js` file in this directory exports `{ name, up(db) }`; NNN is the schema version it brings the
+ * database to. `db` has the promise helpers of services/database (`run`, `get`, `all`) plus `addColumn`.
+ * Migrations are applied in order, each inside a transaction, and recorded in `schema_migrations`.
+ *
+ * Databases created before migrations existed already hold some of these tables, so migrations must be
+ * idempotent (IF NOT EXISTS, addColumn) and must keep existing rows: rebuild a table by copying, never drop it.
+ */
+const fs = require("fs");
+const path = require("path");
+const database = require("../database");
+
+const MIGRATION_FILE = /^(\d{3})-[\w-]+\.js$/;
+
+let migrating = null;
+
+/**
+ * Load every migration file, ordered by version
+ * @returns {Array<{version: number, name: string, up: Function}>} Migrations
+ */
+function loadMigrations() {
+  return fs.readdirSync(__dirname)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ version: parseInt(match[1], 10), ...require(path.join(__dirname, file)) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Helpers handed to migrations
+ */
+const db = {
+  run: (sql, params) => database.run(sql, params),
+  get: (sql, params) => database.get(sql, params),
+  all: (sql, params) => database.all(sql, params),
+
+  /**
+   * Add a column unless the table already has it
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints, e.g. "TEXT NOT NULL DEFAULT 'US'"
+   */
+  async addColumn(table, column, definition) {
+    const columns = await database.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  },
+};
+
+/**
+ * Create the table recording applied migrations
+ */
+async function createMigrationsTable() {
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Describe the schema: current version, applied and pending migrations
+ * @returns {Promise<Object>} { currentVersion, latestVersion, applied, pending }
+ */
+async function getStatus() {
+  await database.ready;
+
+  // Read only: a database without the table is at version 0, migrate creates it
+  const table = await database.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`);
+  const applied = table
+    ? await database.all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`)
+    : [];
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const migrations = loadMigrations();
+
+  return {
+    currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+    latestVersion: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+  };
+}
+
+/**
+ * Apply pending migrations, each in its own transaction.
+ * A dry run applies them all in one transaction and rolls it back, so nothing changes but failures still show.
+ * @param {Object} [options] - Migration options
+ * @param {boolean} [options.dryRun=false] - Roll back instead of committing
+ * @returns {Promise<{from: number, to: number, applied: Array<Object>, dryRun: boolean}>} Versions before and after, and the migrations run
+ */
+async function migrate({ dryRun = false } = {}) {
+  const status = await getStatus();
+  if (status.currentVersion > status.latestVersion) {
+    console.warn(`Database schema version ${status.currentVersion} is newer than this release knows (${status.latestVersion})`);
+  }
+
+  const pendingVersions = new Set(status.pending.map(migration => migration.version));
+  const pending = loadMigrations().filter(migration => pendingVersions.has(migration.version));
+  const applied = [];
+
+  if (dryRun) await database.run("BEGIN IMMEDIATE");
+  try {
+    // Inside the dry run's transaction, so a dry run rolls the table back too
+    if (pending.length > 0) await createMigrationsTable();
+    for (const migration of pending) {
+      if (!dryRun) await database.run("BEGIN IMMEDIATE");
+      try {
+        await migration.up(db);
+        await database.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+        if (!dryRun) await database.run("COMMIT");
+      } catch (err) {
+        if (!dryRun) await database.run("ROLLBACK");
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+      }
+
+      applied.push({ version: migration.version, name: migration.name });
+      if (!dryRun) console.log(`Applied migration ${migration.version} (${migration.name})`);
+    }
+  } finally {
+    if (dryRun) await database.run("ROLLBACK");
+  }
+
+  const to = applied.length ? applied[applied.length - 1].version : status.currentVersion;
+  return { from: status.currentVersion, to, applied, dryRun };
+}
+
+/**
+ * Bring the schema up to date once per process; everything reading the database waits on this
+ * @returns {Promise<Object>} Result of migrate
+ */
+function ready() {
+  if (!migrating) {
+    migrating = migrate().then(result => {
+      console.log(`Database schema at version ${result.to}`);
+      return result;
+    });
+  }
+  return migrating;
+}
+
+module.exports = {
+  getStatus,
+  migrate,
+  ready,
+};
@@ -0,0 +1,155 @@
+const CONFIG = require("../config");
+
+// Probe results per CDN origin, remembered for CONFIG.mirrorProbeTtl
+const probeResults = new Map();
+const inFlightProbes = new Map();
+
+/**
+ * Get the origin (scheme + host) of a mirror URL
+ * @param {string} url - Mirror URL
+ * @returns {string} Origin, or the URL itself if it can't be parsed
+ */
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Download the first bytes of a file from one mirror and measure how fast it answers
+ * @param {string} url - Mirror URL
+ * @returns {Promise<Object>} Probe result (reachable, status, latencyMs, bytesPerSecond, probedAt)
+ */
+async function probeUrl(url) {
+  const startedAt = performance.now();
+  const result = {
+    origin: getOrigin(url),
+    reachable: false,
+    status: null,
+    latencyMs: null,
+    bytesPerSecond: null,
+    error: null,
+    probedAt: Date.now()
+  };
+
+  try {
+    const response = await fetch(url, {
+      headers: { Range: `bytes=0-${CONFIG.mirrorProbeBytes - 1}`, "Accept-Encoding": "identity" },
+      signal: AbortSignal.timeout(CONFIG.mirrorProbeTimeout),
+    });
+    result.status = response.status;
+    result.latencyMs = Math.round(performance.now() - startedAt);
+
+    if (response.status === 200 || response.status === 206) {
+      // Read at most the probe size, some CDNs ignore Range and send the whole file
+      let received = 0;
+      const reader = response.body.getReader();
+      while (received < CONFIG.mirrorProbeBytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.length;
+      }
+      reader.cancel().catch(() => {});
+
+      const seconds = Math.max((performance.now() - startedAt) / 1000, 0.001);
+      result.reachable = true;
+      result.bytesPerSecond = Math.round(received / seconds);
+    } else {
+      response.body?.cancel().catch(() => {});
+    }
+  } catch (error) {
+    result.error = error.name === "TimeoutError" ? "Probe timed out" : error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Get a remembered, still fresh probe result for a mirror's origin
+ * @param {string} url - Mirror URL
+ * @returns {Object|null} Probe result or null if unknown or stale
+ */
+function getCachedProbe(url) {
+  const cached = probeResults.get(getOrigin(url));
+  if (cached && Date.now() - cached.probedAt < CONFIG.mirrorProbeTtl) {
+    return cached;
+  }
+  return null;
+}
+
+/**
+ * Probe a mirror's origin unless a fresh result is remembered; concurrent probes of one origin are shared
+ * @param {string} url - Mirror URL used to probe its origin
+ * @returns {Promise<Object>} Probe result
+ */
+async function probeOrigin(url) {
+  const cached = getCachedProbe(url);
+  if (cached) return cached;
+
+  const origin = getOrigin(url);
+  if (!inFlightProbes.has(origin)) {
+    inFlightProbes.set(origin, probeUrl(url)
+      .then(result => {
+        probeResults.set(origin, result);
+        return result;
+      })
+      .finally(() => inFlightProbes.delete(origin)));
+  }
+  return inFlightProbes.get(origin);
+}
+
+/**
+ * Order mirror URLs best first using remembered probe results
+ * Reachable mirrors come first (fastest first), unprobed ones keep their order, unreachable ones go last
+ * @param {Array<string>} urls - Mirror URLs
+ * @returns {Array<string>} Ordered copy
+ */
+function sortByProbe(urls) {
+  const rank = (url) => {
+    const probe = getCachedProbe(url);
+    if (!probe) return 1;
+    return probe.reachable ? 0 : 2;
+  };
+
+  return urls
+    .map((url, index) => ({ url, index, rank: rank(url), speed: getCachedProbe(url)?.bytesPerSecond || 0 }))
+    .sort((a, b) => a.rank - b.rank || b.speed - a.speed || a.index - b.index)
+    .map(entry => entry.url);
+}
+
+/**
+ * Probe the mirrors of every file (once per origin) and order each file's mirrors best first
+ * @param {Array<Object>} files - Files from filterAndFormatPackageFiles
+ * @returns {Promise<{files: Array<Object>, probes: Array<Object>}>} Files with ordered `mirrors` and `url`, plus the probe results used
+ */
+async function rankFileMirrors(files) {
+  // One sample URL per origin is enough
+  const samples = new Map();
+  for (const file of files) {
+    for (const url of file.mirrors || []) {
+      const origin = getOrigin(url);
+      if (!samples.has(origin)) samples.set(origin, url);
+    }
+  }
+
+  const probes = await Promise.all([...samples.values()].map(probeOrigin));
+
+  const rankedFiles = files.map(file => {
+    if (!file.mirrors?.length) return file;
+    const mirrors = sortByProbe(file.mirrors);
+    return { ...file, url: mirrors[0], mirrors };
+  });
+
+  return {
+    files: rankedFiles,
+    probes: probes.map(probe => ({ ...probe, probedAt: new Date(probe.probedAt).toISOString() }))
+  };
+}
+
+module.exports = {
+  probeUrl,
+  sortByProbe,
+  rankFileMirrors,
+};
@@ -24,6 +24,72 @@ async function fetchProductsData(productId, market = "US", languages = "en-US,ne
   }
 }
 
+/**
+ * Fetch several products from Display Catalog in as few calls as possible.
+ * A failing call doesn't fail the others, its products are reported in `errors` instead.
+ * @param {Array<string>} productIds - Product IDs to fetch
+ * @param {string} market - Market code (default: "US")
+ * @param {string} languages - Language codes (default: "en-US,neutral")
+ * @returns {Promise<{productsById: Map<string, Object>, errors: Map<string, Error>}>} Products data per upper-cased product ID, shaped like a single-product response, and the error per upper-cased product ID that couldn't be fetched
+ */
+async function fetchProductsDataBatch(productIds, market = "US", languages = "en-US,neutral") {
+  const productsById = new Map();
+  const errors = new Map();
+
+  for (let i = 0; i < productIds.length; i += CONFIG.displayCatalogBatchSize) {
+    const chunk = productIds.slice(i, i + CONFIG.displayCatalogBatchSize);
+    let productsData;
+    try {
+      productsData = await fetchProductsData(chunk.join(","), market, languages);
+    } catch (error) {
+      chunk.forEach(productId => errors.set(productId.toUpperCase(), error));
+      continue;
+    }
+
+    for (const product of productsData?.Products || []) {
+      productsById.set(product.ProductId.toUpperCase(), { ...productsData, Products: [product] });
+    }
+  }
+
+  return { productsById, errors };
+}
+
+/**
+ * Search Display Catalog by product name through its autosuggest API
+ * @param {string} query - Search text
+ * @param {string} market - Market code (default: "US")
+ * @param {string} languages - Language codes (default: "en-US,neutral")
+ * @param {string} productFamilies - Comma-separated product families to search (default: "Games,Apps")
+ * @returns {Promise<Array<Object>>} Matches in catalog order, each with productId, productFamily, title and type
+ */
+async function searchProducts(query, market = "US", languages = "en-US,neutral", productFamilies = "Games,Apps") {
+  const autosuggestUrl = `https://displaycatalog.mp.microsoft.com/v7.0/productFamilies/autosuggest?market=${market}&languages=${languages}&query=${encodeURIComponent(query)}&productFamilyNames=${productFamilies}`;
+
+  const res = await fetch(autosuggestUrl);
+  if (!res.ok) {
+    throw new Error(`Failed to search Display Catalog (${res.status})`);
+  }
+
+  const data = await res.json();
+  const seen = new Set();
+  const matches = [];
+
+  for (const family of data?.Results || []) {
+    for (const product of family.Products || []) {
+      if (!isValidProductId(product.ProductId || "") || seen.has(product.ProductId.toUpperCase())) continue;
+      seen.add(product.ProductId.toUpperCase());
+      matches.push({
+        productId: product.ProductId,
+        productFamily: family.ProductFamilyName || null,
+        title: product.Title || null,
+        type: product.Type || null,
+      });
+    }
+  }
+
+  return matches;
+}
+
 /**
  * Extract content ID from products data
  * @param {Object} productsData - The products data from Display Catalog API
@@ -51,6 +117,54 @@ function extractContentIdFromProducts(productsData) {
   return null;
 }
 
+/**
+ * List every package of every SKU in products data
+ * @param {Object} productsData - The products data from Display Catalog API
+ * @returns {Array<Object>} Packages with their SKU, content ID, platform dependencies and architectures
+ */
+function extractPackagesFromProducts(productsData) {
+  const product = productsData?.Products?.[0];
+  if (!product) return [];
+
+  return (product.DisplaySkuAvailabilities || []).flatMap(availability => {
+    const sku = availability.Sku;
+    return (sku?.Properties?.Packages || []).map(pkg => ({
+      skuId: sku.SkuId,
+      skuTitle: sku.LocalizedProperties?.[0]?.SkuTitle,
+      skuType: sku.SkuType,
+      packageId: pkg.PackageId,
+      contentId: pkg.ContentId || null,
+      packageFullName: pkg.PackageFullName,
+      packageFormat: pkg.PackageFormat,
+      architectures: pkg.Architectures || [],
+      platformDependencies: (pkg.PlatformDependencies || []).map(dep => ({
+        platform: dep.PlatformName,
+        minVersion: dep.MinVersion,
+        maxTested: dep.MaxTested
+      })),
+      maxDownloadSizeInBytes: pkg.MaxDownloadSizeInBytes
+    }));
+  });
+}
+
+/**
+ * Pick the first package matching a SKU and/or package selector
+ * @param {Array<Object>} packages - Packages from extractPackagesFromProducts
+ * @param {Object} selector - Selection criteria
+ * @param {string} [selector.skuId] - SKU ID to match
+ * @param {string} [selector.packageId] - Package ID or content ID to match
+ * @returns {Object|null} Matching package with a content ID, or null if none
+ */
+function selectPackage(packages, { skuId, packageId } = {}) {
+  const matches = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+  return packages.find(pkg =>
+    pkg.contentId &&
+    (!skuId || matches(pkg.skuId, skuId)) &&
+    (!packageId || matches(pkg.packageId, packageId) || matches(pkg.contentId, packageId))
+  ) || null;
+}
+
 /**
  * Convert a product ID to content ID using Microsoft Display Catalog API
  * @param {string} productId - The product ID to convert
@@ -69,12 +183,12 @@ async function getContentIdFromProductId(productId, market = "US", languages = "
 }
 
 /**
- * Fetch package information and download URLs for a given content ID
+ * Fetch the raw package file list (every file and CDN root) for a given content ID
  * @param {string} contentId - The package content ID
  * @param {Object} xsts - XSTS authentication token
- * @returns {Promise<Array|null>} Array of package files or null if not found
+ * @returns {Promise<Array|null>} Raw PackageFiles from the package service or null if not found
  */
-async function fetchPackageInfo(contentId, xsts) {
+async function fetchRawPackageFiles(contentId, xsts) {
   const updateUrl = CONFIG.packageServiceBaseUrl + contentId;
   const headers = {
     Authorization: `XBL3.0 x=${xsts.DisplayClaims.xui[0].uhs};${xsts.Token}`,
@@ -86,30 +200,61 @@ async function fetchPackageInfo(contentId, xsts) {
   const updateData = await res.json();
   if (!updateData.PackageFound || !updateData.PackageFiles) return null;
 
-  return filterAndFormatPackageFiles(updateData.PackageFiles);
+  return updateData.PackageFiles;
+}
+
+/**
+ * Fetch package information and download URLs for a given content ID
+ * Hash-table side files (CONFIG.excludedFileExtensions) are kept and flagged as `auxiliary`
+ * @param {string} contentId - The package content ID
+ * @param {Object} xsts - XSTS authentication token
+ * @returns {Promise<Array|null>} Array of package files or null if not found
+ */
+async function fetchPackageInfo(contentId, xsts) {
+  const packageFiles = await fetchRawPackageFiles(contentId, xsts);
+  if (!packageFiles) return null;
+
+  return filterAndFormatPackageFiles(packageFiles, { includeAuxFiles: true });
+}
+
+/**
+ * Check whether a file is a hash-table side file (.phf/.xsp) rather than package content
+ * @param {string} fileName - File name
+ * @returns {boolean} True if the extension is in CONFIG.excludedFileExtensions
+ */
+function isAuxFile(fileName) {
+  return CONFIG.excludedFileExtensions.some((ext) =>
+    fileName.toLowerCase().endsWith(ext)
+  );
 }
 
 /**
  * Filter out excluded files and format package file data
  * @param {Array} packageFiles - Raw package files from API
+ * @param {Object} [options] - Format options
+ * @param {boolean} [options.includeAuxFiles=false] - Keep the .phf/.xsp side files
  * @returns {Array} Formatted package files
  */
-function filterAndFormatPackageFiles(packageFiles) {
+function filterAndFormatPackageFiles(packageFiles, { includeAuxFiles = false } = {}) {
   return packageFiles
-    .filter((file) =>
-      !CONFIG.excludedFileExtensions.some((ext) =>
-        file.FileName.toLowerCase().endsWith(ext)
-      )
-    )
+    .filter((file) => includeAuxFiles || !isAuxFile(file.FileName))
     .map((file) => {
-      const downloadUrl =
-        file.CdnRootPaths?.length > 0
-          ? file.CdnRootPaths[0] + file.RelativeUrl
-          : null;
+      // Every CDN root serves the same file, the first one is the default download URL
+      const mirrors = (file.CdnRootPaths || []).map((root) => root + file.RelativeUrl);
       return { 
         fileName: file.FileName, 
         size: file.FileSize, 
-        url: downloadUrl 
+        url: mirrors[0] || null,
+        mirrors,
+        // Integrity and version details as reported by the package service.
+        // FileHash is passed on untouched: its algorithm isn't documented, so it is never labelled as a checksum
+        hash: file.FileHash ?? null,
+        contentType: file.ContentType ?? null,
+        modifiedDate: file.ModifiedDate ?? null,
+        versionId: file.VersionId ?? null,
+        deltaVersionId: file.DeltaVersionId ?? null,
+        updateType: file.UpdateType ?? null,
+        auxiliary: isAuxFile(file.FileName)
       };
     });
 }
@@ -136,17 +281,26 @@ function isValidProductId(productId) {
 /**
  * Extract metadata from products data
  * @param {Object} productsData - The products data from Display Catalog API
+ * @param {Object} [locale] - Market and language the data was requested for
+ * @param {string} [locale.market] - Market code, picks the matching MarketProperties entry
+ * @param {string} [locale.language] - Language tag, picks the matching LocalizedProperties entry
  * @returns {Object|null} Formatted metadata object or null if no data
  */
-function extractMetadataFromProducts(productsData) {
+function extractMetadataFromProducts(productsData, { market, language } = {}) {
   if (!productsData?.Products?.[0]) return null;
   
   const product = productsData.Products[0];
-  const localizedProps = product.LocalizedProperties?.[0];
+  const localizedProps = (language && product.LocalizedProperties?.find(props =>
+    props.Language?.toLowerCase() === language.toLowerCase())) || product.LocalizedProperties?.[0];
   const properties = product.Properties;
-  const marketProps = product.MarketProperties?.[0];
+  const marketProps = (market && product.MarketProperties?.find(props =>
+    props.Markets?.includes(market))) || product.MarketProperties?.[0];
   
   return {
+    // Locale the metadata is localized for
+    market: market || null,
+    language: localizedProps?.Language || null,
+
     // Basic Information
     title: localizedProps?.ProductTitle || 'Unknown',
     shortTitle: localizedProps?.ShortTitle,
@@ -192,10 +346,16 @@ function extractMetadataFromProducts(productsData) {
 
 module.exports = {
   fetchPackageInfo,
+  fetchRawPackageFiles,
   filterAndFormatPackageFiles,
+  isAuxFile,
   isValidContentId,
   fetchProductsData,
+  fetchProductsDataBatch,
+  searchProducts,
   extractContentIdFromProducts,
+  extractPackagesFromProducts,
+  selectPackage,
   extractMetadataFromProducts,
   getContentIdFromProductId,
   isValidProductId,
@@ -0,0 +1,74 @@
+const database = require('./database');
+const migrations = require('./migrations');
+const CONFIG = require('../config');
+
+/**
+ * Fixed-window rate limit counters stored in SQLite, so budgets survive restarts
+ */
+class RateLimitService {
+  constructor() {
+    this.lastCleanupAt = 0;
+  }
+
+  /**
+   * Get the configured limit for a bucket
+   * @param {string} bucket - Bucket name ("requests" or "upstream")
+   * @returns {number} Allowed calls per window, 0 when unlimited
+   */
+  getLimit(bucket) {
+    return CONFIG.rateLimits[bucket] || 0;
+  }
+
+  /**
+   * Count calls against a client's budget
+   * @param {string} clientKey - Client identifier (API key or IP)
+   * @param {string} bucket - Bucket name ("requests" or "upstream")
+   * @param {number} cost - Number of calls to count (default: 1)
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAt: number}>} Budget state after this call
+   */
+  async consume(clientKey, bucket, cost = 1) {
+    const limit = this.getLimit(bucket);
+    const windowMs = CONFIG.rateLimitWindow;
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const resetAt = windowStart + windowMs;
+
+    if (!limit) {
+      return { allowed: true, limit: 0, remaining: 0, resetAt };
+    }
+
+    await migrations.ready();
+    const row = await database.get(`
+      INSERT INTO rate_limits (client_key, bucket, window_start, count)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (client_key, bucket, window_start) DO UPDATE SET count = count + excluded.count
+      RETURNING count
+    `, [clientKey, bucket, windowStart, cost]);
+
+    this.cleanup(windowStart);
+
+    return {
+      allowed: row.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - row.count),
+      resetAt
+    };
+  }
+
+  /**
+   * Drop counters of past windows, at most once per window
+   * @param {number} currentWindowStart - Start of the current window
+   */
+  cleanup(currentWindowStart) {
+    if (currentWindowStart <= this.lastCleanupAt) return;
+    this.lastCleanupAt = currentWindowStart;
+
+    database.run(`DELETE FROM rate_limits WHERE window_start < ?`, [currentWindowStart])
+      .catch(err => console.error('Error clearing old rate limit counters:', err));
+  }
+}
+
+// Create singleton instance
+const rateLimitService = new RateLimitService();
+
+module.exports = rateLimitService;
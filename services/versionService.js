@@ -0,0 +1,126 @@
+/**
+ * Version timeline of a product built from its cached package rows
+ */
+
+/**
+ * Check whether two LastModifiedDate values refer to the same moment
+ * @param {string} a - Date string
+ * @param {string} b - Date string
+ * @returns {boolean} True if equal
+ */
+function isSameDate(a, b) {
+  const timeA = new Date(a).getTime();
+  const timeB = new Date(b).getTime();
+  return Number.isNaN(timeA) || Number.isNaN(timeB) ? a === b : timeA === timeB;
+}
+
+/**
+ * Group cached rows into one snapshot per distinct LastModifiedDate
+ * @param {Array<Object>} rows - Rows from cacheService.getProductHistory (most recent first)
+ * @param {Object} [options] - Timeline options
+ * @param {boolean} [options.includeAuxFiles=false] - Keep the .phf/.xsp hash-table files
+ * @returns {Array<Object>} Snapshots, newest version first
+ */
+function buildTimeline(rows, { includeAuxFiles = false } = {}) {
+  const snapshots = new Map();
+
+  for (const row of rows) {
+    let files;
+    try {
+      files = JSON.parse(row.files_data);
+    } catch (e) {
+      console.error(`Skipping unreadable cache row for ${row.content_id}:`, e.message);
+      continue;
+    }
+    if (!Array.isArray(files)) continue;
+
+    let snapshot = snapshots.get(row.last_modified_date);
+    if (!snapshot) {
+      snapshot = { lastModifiedDate: row.last_modified_date, firstCachedAt: row.cached_at, packages: new Map() };
+      snapshots.set(row.last_modified_date, snapshot);
+    }
+    if (row.cached_at < snapshot.firstCachedAt) {
+      snapshot.firstCachedAt = row.cached_at;
+    }
+
+    // Rows are newest first, so a package cached twice for one version keeps its latest file list
+    if (!snapshot.packages.has(row.content_id)) {
+      snapshot.packages.set(row.content_id, files
+        .filter(file => includeAuxFiles || !file.auxiliary)
+        .map(file => ({ fileName: file.fileName, size: file.size, hash: file.hash ?? null, contentId: row.content_id })));
+    }
+  }
+
+  return [...snapshots.values()]
+    .sort((a, b) => new Date(b.lastModifiedDate) - new Date(a.lastModifiedDate))
+    .map(snapshot => {
+      const files = [...snapshot.packages.values()].flat();
+      return {
+        lastModifiedDate: snapshot.lastModifiedDate,
+        firstCachedAt: snapshot.firstCachedAt,
+        contentIds: [...snapshot.packages.keys()],
+        fileCount: files.length,
+        totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+        files
+      };
+    });
+}
+
+/**
+ * Find a snapshot by its LastModifiedDate
+ * @param {Array<Object>} timeline - Snapshots from buildTimeline
+ * @param {string} lastModifiedDate - Date to look for
+ * @returns {Object|null} Snapshot or null if not cached
+ */
+function findSnapshot(timeline, lastModifiedDate) {
+  return timeline.find(snapshot => isSameDate(snapshot.lastModifiedDate, lastModifiedDate)) || null;
+}
+
+/**
+ * Compare the file sets of two snapshots by file name
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} Added, removed and resized files, and the number of unchanged files
+ */
+function diffSnapshots(from, to) {
+  const before = new Map(from.files.map(file => [file.fileName, file]));
+  const after = new Map(to.files.map(file => [file.fileName, file]));
+
+  const added = to.files.filter(file => !before.has(file.fileName));
+  const removed = from.files.filter(file => !after.has(file.fileName));
+  const resized = [];
+  let unchanged = 0;
+
+  for (const file of to.files) {
+    const previous = before.get(file.fileName);
+    if (!previous) continue;
+
+    if (previous.size !== file.size) {
+      resized.push({
+        fileName: file.fileName,
+        contentId: file.contentId,
+        oldSize: previous.size,
+        newSize: file.size,
+        delta: (file.size || 0) - (previous.size || 0)
+      });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return {
+    from: from.lastModifiedDate,
+    to: to.lastModifiedDate,
+    added,
+    removed,
+    resized,
+    unchanged,
+    sizeDelta: to.totalSize - from.totalSize
+  };
+}
+
+module.exports = {
+  buildTimeline,
+  findSnapshot,
+  diffSnapshots,
+};
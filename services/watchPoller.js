@@ -0,0 +1,201 @@
+const packageService = require("./packageService");
+const cacheService = require("./cacheService");
+const watchService = require("./watchService");
+const versionService = require("./versionService");
+const accountPool = require("../auth/accountPool");
+const CONFIG = require("../config");
+
+// Webhook retries are checked this often, products only every CONFIG.watchPollInterval
+const TICK_INTERVAL = 30 * 1000;
+
+let timer = null;
+let running = false;
+let lastPollAt = null;
+let lastPollError = null;
+
+/**
+ * Keep the fields of a file that describe a version (CDN URLs expire, so they are left out)
+ * @param {Array<Object>|null} files - Files from fetchPackageInfo or the cache
+ * @returns {Array<Object>|null} File summaries without the .phf/.xsp side files
+ */
+function summarizeFiles(files) {
+  if (!files) return null;
+  return files
+    .filter(file => !file.auxiliary)
+    .map(file => ({ fileName: file.fileName, size: file.size, hash: file.hash ?? null }));
+}
+
+/**
+ * Check one product for every watch on it and queue webhooks when its LastModifiedDate moved on
+ * @param {string} productId - Product ID
+ * @param {string} market - Market code
+ * @param {Array<Object>} watches - Watches on this product and market
+ */
+async function checkProduct(productId, market, watches) {
+  const productsData = await packageService.fetchProductsData(productId, market, CONFIG.defaultLanguages);
+  const lastModifiedDate = productsData?.Products?.[0]?.LastModifiedDate;
+  if (!lastModifiedDate) {
+    throw new Error("Product not found in Display Catalog");
+  }
+
+  // A watch without a known version starts tracking from the current one
+  const updated = [];
+  for (const watch of watches) {
+    if (watch.lastModifiedDate && new Date(lastModifiedDate) > new Date(watch.lastModifiedDate)) {
+      updated.push(watch);
+    } else {
+      await watchService.recordCheck(watch.id, { lastModifiedDate: watch.lastModifiedDate ? null : lastModifiedDate });
+    }
+  }
+  if (updated.length === 0) return;
+
+  const contentId = packageService.extractContentIdFromProducts(productsData);
+  if (!contentId) {
+    throw new Error("Could not find content ID for the product");
+  }
+
+  const session = await accountPool.acquireAccount();
+  if (!session) {
+    throw new Error("No usable Xbox Live account");
+  }
+
+  // Read the cached versions before the new one is stored
+  const history = versionService.buildTimeline(
+    (await cacheService.getProductHistory(productId, market)).filter(row => row.content_id === contentId)
+  );
+
+  const files = await packageService.fetchPackageInfo(contentId, session.xsts);
+  if (!files) {
+    throw new Error("Package not found");
+  }
+  const metadata = packageService.extractMetadataFromProducts(productsData, {
+    market,
+    language: CONFIG.defaultLanguages.split(",")[0]
+  });
+  await cacheService.cachePackageData(productId, contentId, lastModifiedDate, files, market, metadata);
+
+  for (const watch of updated) {
+    const previous = versionService.findSnapshot(history, watch.lastModifiedDate);
+    await watchService.queueDeliveries(watch, "package.updated", {
+      event: "package.updated",
+      watchId: watch.id,
+      productId: watch.productId,
+      market,
+      contentId,
+      title: metadata?.title || null,
+      previousLastModifiedDate: watch.lastModifiedDate,
+      lastModifiedDate,
+      // null when the previous version was never cached (or replaced without CACHE_HISTORY)
+      previousFiles: previous ? summarizeFiles(previous.files) : null,
+      files: summarizeFiles(files),
+      detectedAt: new Date().toISOString()
+    });
+    await watchService.recordCheck(watch.id, { lastModifiedDate });
+    console.log(`Watched product ${productId} (${market}) updated to ${lastModifiedDate}, webhooks queued`);
+  }
+}
+
+/**
+ * Poll every watched product once
+ */
+async function pollWatches() {
+  const watches = await watchService.listWatches();
+
+  // Watches on the same product and market share one Display Catalog call
+  const groups = new Map();
+  for (const watch of watches) {
+    const key = `${watch.productId}:${watch.market}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(watch);
+  }
+
+  for (const group of groups.values()) {
+    const { productId, market } = group[0];
+    try {
+      await checkProduct(productId, market, group);
+    } catch (error) {
+      console.error(`Watch check failed for ${productId} (${market}):`, error.message);
+      for (const watch of group) {
+        await watchService.recordCheck(watch.id, { error: error.message });
+      }
+    }
+  }
+}
+
+/**
+ * Run one tick: poll products when the poll interval has passed (or when forced), then send due webhooks
+ * @param {Object} [options] - Tick options
+ * @param {boolean} [options.force=false] - Poll products now regardless of the interval
+ * @returns {Promise<boolean>} False if a tick was already running
+ */
+async function runOnce({ force = false } = {}) {
+  if (running) return false;
+  running = true;
+
+  try {
+    if (force || !lastPollAt || Date.now() - lastPollAt >= CONFIG.watchPollInterval) {
+      lastPollAt = Date.now();
+      try {
+        await pollWatches();
+        lastPollError = null;
+      } catch (error) {
+        lastPollError = error.message;
+        console.error('Watch poll failed:', error);
+      }
+    }
+
+    await watchService.deliverPending();
+  } catch (error) {
+    console.error('Webhook delivery pass failed:', error);
+  } finally {
+    running = false;
+  }
+  return true;
+}
+
+/**
+ * Start the watch poller (runs a tick immediately), unless no webhook secret is configured
+ */
+function start() {
+  if (timer) return;
+  if (!CONFIG.webhookSecret) {
+    console.warn('Watch poller not started: WEBHOOK_SECRET is not set and webhooks are only sent signed');
+    return;
+  }
+
+  timer = setInterval(() => runOnce(), TICK_INTERVAL);
+  timer.unref();
+  runOnce();
+  console.log(`Watch poller started (products every ${CONFIG.watchPollInterval / 1000}s)`);
+}
+
+/**
+ * Stop the watch poller
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Describe the poller state
+ * @returns {Object} Poller status
+ */
+function getStatus() {
+  return {
+    enabled: timer !== null,
+    pollIntervalSeconds: CONFIG.watchPollInterval / 1000,
+    lastPollAt: lastPollAt ? new Date(lastPollAt).toISOString() : null,
+    lastPollError,
+    signed: !!CONFIG.webhookSecret,
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus,
+};
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const database = require('./database');
+const migrations = require('./migrations');
+const CONFIG = require('../config');
+
+const USER_AGENT = 'msixvcdl-expressjs';
+
+class WatchService {
+  /**
+   * Check that a webhook URL is an absolute http(s) URL
+   * @param {string} url - Webhook URL
+   * @returns {boolean} True if usable
+   */
+  isValidWebhookUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Format a watch row for API responses
+   * @param {Object} row - watches row
+   * @returns {Object} Watch description
+   */
+  formatWatch(row) {
+    return {
+      id: row.id,
+      productId: row.product_id,
+      market: row.market,
+      webhookUrls: JSON.parse(row.webhook_urls),
+      label: row.label,
+      lastModifiedDate: row.last_modified_date,
+      lastCheckedAt: row.last_checked_at,
+      lastError: row.last_error,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Format a delivery row for API responses
+   * @param {Object} row - webhook_deliveries row
+   * @returns {Object} Delivery log entry
+   */
+  formatDelivery(row) {
+    return {
+      id: row.id,
+      watchId: row.watch_id,
+      url: row.url,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      responseStatus: row.response_status,
+      lastError: row.last_error,
+      nextAttemptAt: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at,
+      payload: JSON.parse(row.payload)
+    };
+  }
+
+  /**
+   * Register a watch on a product
+   * @param {Object} options - Watch options
+   * @param {string} options.productId - Product ID
+   * @param {string} options.market - Market code
+   * @param {Array<string>} options.webhookUrls - URLs notified when the product updates
+   * @param {string|null} options.label - Optional label
+   * @param {string|null} options.lastModifiedDate - Version already known (e.g. from package_cache), updates past it are reported
+   * @returns {Promise<Object>} Created watch
+   */
+  async createWatch({ productId, market, webhookUrls, label = null, lastModifiedDate = null }) {
+    await migrations.ready();
+    const { lastID } = await database.run(
+      `INSERT INTO watches (product_id, market, webhook_urls, label, last_modified_date) VALUES (?, ?, ?, ?, ?)`,
+      [productId.toUpperCase(), market, JSON.stringify(webhookUrls), label, lastModifiedDate]
+    );
+    return this.getWatch(lastID);
+  }
+
+  /**
+   * List every watch
+   * @returns {Promise<Array<Object>>} Watches
+   */
+  async listWatches() {
+    await migrations.ready();
+    const rows = await database.all(`SELECT * FROM watches ORDER BY id`);
+    return rows.map(row => this.formatWatch(row));
+  }
+
+  /**
+   * Get a watch
+   * @param {number} id - Watch ID
+   * @returns {Promise<Object|null>} Watch or null if unknown
+   */
+  async getWatch(id) {
+    await migrations.ready();
+    const row = await database.get(`SELECT * FROM watches WHERE id = ?`, [id]);
+    return row ? this.formatWatch(row) : null;
+  }
+
+  /**
+   * Delete a watch; its delivery log is kept but pending deliveries are dropped
+   * @param {number} id - Watch ID
+   * @returns {Promise<boolean>} True if a watch was deleted
+   */
+  async deleteWatch(id) {
+    await migrations.ready();
+    const { changes } = await database.run(`DELETE FROM watches WHERE id = ?`, [id]);
+    if (changes > 0) {
+      await database.run(
+        `UPDATE webhook_deliveries SET status = 'cancelled' WHERE watch_id = ? AND status = 'pending'`,
+        [id]
+      );
+    }
+    return changes > 0;
+  }
+
+  /**
+   * Record the outcome of a poll for a watch
+   * @param {number} id - Watch ID
+   * @param {Object} result - lastModifiedDate seen (kept if omitted) and error (null on success)
+   */
+  async recordCheck(id, { lastModifiedDate, error = null }) {
+    await database.run(
+      `UPDATE watches SET last_modified_date = COALESCE(?, last_modified_date), last_error = ?, last_checked_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [lastModifiedDate ?? null, error, id]
+    );
+  }
+
+  /**
+   * Queue one delivery per webhook URL of a watch
+   * @param {Object} watch - Watch from formatWatch
+   * @param {string} event - Event name
+   * @param {Object} payload - JSON payload
+   */
+  async queueDeliveries(watch, event, payload) {
+    for (const url of watch.webhookUrls) {
+      await database.run(
+        `INSERT INTO webhook_deliveries (watch_id, url, event, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?)`,
+        [watch.id, url, event, JSON.stringify(payload), Date.now()]
+      );
+    }
+  }
+
+  /**
+   * Delivery log of a watch
+   * @param {number} watchId - Watch ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>} Deliveries, newest first
+   */
+  async listDeliveries(watchId, limit = 20) {
+    await migrations.ready();
+    const rows = await database.all(
+      `SELECT * FROM webhook_deliveries WHERE watch_id = ? ORDER BY id DESC LIMIT ?`,
+      [watchId, limit]
+    );
+    return rows.map(row => this.formatDelivery(row));
+  }
+
+  /**
+   * Sign a payload with CONFIG.webhookSecret
+   * @param {string} timestamp - Unix timestamp in seconds, part of the signed content
+   * @param {string} body - Raw JSON body
+   * @returns {string} `sha256=<hex HMAC of "timestamp.body">`
+   * @throws {Error} When no secret is configured, webhooks are never sent unsigned
+   */
+  signPayload(timestamp, body) {
+    if (!CONFIG.webhookSecret) {
+      throw new Error('WEBHOOK_SECRET is not set, refusing to send unsigned webhooks');
+    }
+    const hmac = crypto.createHmac('sha256', CONFIG.webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+  }
+
+  /**
+   * Backoff delay after a number of failed attempts
+   * @param {number} attempts - Failed attempts so far (1 or more)
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(CONFIG.webhookBackoffBase * 2 ** (attempts - 1), CONFIG.webhookBackoffMax);
+  }
+
+  /**
+   * POST one delivery and record the outcome, scheduling a retry on failure
+   * @param {Object} row - webhook_deliveries row
+   */
+  async attemptDelivery(row) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = this.signPayload(timestamp, row.payload);
+    const attempts = row.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(row.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Msixvc-Event': row.event,
+          'X-Msixvc-Delivery': String(row.id),
+          'X-Msixvc-Timestamp': timestamp,
+          'X-Msixvc-Signature': signature
+        },
+        body: row.payload,
+        signal: AbortSignal.timeout(CONFIG.webhookTimeout)
+      });
+      responseStatus = response.status;
+      response.body?.cancel().catch(() => {});
+      if (!response.ok) error = `Receiver responded ${response.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? 'Delivery timed out' : err.message;
+    }
+
+    if (!error) {
+      await database.run(
+        `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL, delivered_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [attempts, responseStatus, row.id]
+      );
+      console.log(`Delivered webhook ${row.id} to ${row.url}`);
+      return;
+    }
+
+    const giveUp = attempts >= CONFIG.webhookMaxAttempts;
+    await database.run(
+      `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`,
+      [giveUp ? 'failed' : 'pending', attempts, responseStatus, error, Date.now() + this.getBackoffDelay(attempts), row.id]
+    );
+    console.warn(`Webhook ${row.id} to ${row.url} failed (attempt ${attempts}${giveUp ? ', giving up' : ''}): ${error}`);
+  }
+
+  /**
+   * Send every delivery that is due, oldest first
+   */
+  async deliverPending() {
+    await migrations.ready();
+    const rows = await database.all(
+      `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 50`,
+      [Date.now()]
+    );
+    for (const row of rows) {
+      await this.attemptDelivery(row);
+    }
+  }
+}
+
+// Create singleton instance
+const watchService = new WatchService();
+
+module.exports = watchService;
@@ -0,0 +1,91 @@
+/**
+ * Shared token refreshes in the account pool, against a local stub of the Microsoft and Xbox Live auth endpoints
+ */
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStubServer } = require("./helpers/stubServer");
+
+// The token store lives in the working directory, keep it out of the repository
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "msixvc-account-pool-")));
+process.env.TOKEN_ENCRYPTION_KEY = "account-pool-test-key";
+
+const FIVE_MINUTES = 5 * 60 * 1000;
+const THIRTY_MINUTES = 30 * 60 * 1000;
+
+let stub;
+let accountPool;
+let tokenService;
+let tokenRefreshes = 0;
+// Lifetime handed out by the token endpoint, per refresh in order
+const tokenLifetimes = [];
+
+before(async () => {
+  stub = await startStubServer({
+    "POST /oauth20_token.srf": async () => {
+      tokenRefreshes++;
+      // Keep the refresh in flight long enough for a second caller to join it
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const lifetime = tokenLifetimes.shift() ?? 3600;
+      return { status: 200, body: { access_token: `access-${tokenRefreshes}`, refresh_token: `refresh-${tokenRefreshes}`, expires_in: lifetime } };
+    },
+    "POST /user/authenticate": () => ({
+      status: 200,
+      body: { Token: "user-token", NotAfter: new Date(Date.now() + 3600000).toISOString(), DisplayClaims: { xui: [{ uhs: "1234" }] } },
+    }),
+    "POST /xsts/authorize": () => ({
+      status: 200,
+      body: { Token: "xsts-token", NotAfter: new Date(Date.now() + 3600000).toISOString(), DisplayClaims: { xui: [{ uhs: "1234" }] } },
+    }),
+  });
+
+  process.env.MICROSOFT_TOKEN_URL = `${stub.url}/oauth20_token.srf`;
+  process.env.XASU_URL = `${stub.url}/user/authenticate`;
+  process.env.XSTS_URL = `${stub.url}/xsts/authorize`;
+
+  accountPool = require("../auth/accountPool");
+  tokenService = require("../auth/tokenService");
+});
+
+after(() => stub.close());
+
+/**
+ * Store an account whose access token has already expired
+ * @param {string} account - Account slot name
+ */
+function storeExpiredAccount(account) {
+  tokenService.saveTokens({ access_token: "expired", refresh_token: "refresh-0", expires_at: Date.now() - 1000 }, account);
+}
+
+test("concurrent callers with the same lead time share one refresh", async () => {
+  storeExpiredAccount("shared");
+  tokenRefreshes = 0;
+
+  const [first, second] = await Promise.all([
+    accountPool.ensureAccountTokens("shared"),
+    accountPool.ensureAccountTokens("shared"),
+  ]);
+
+  assert.strictEqual(tokenRefreshes, 1);
+  assert.strictEqual(first.tokens.access_token, "access-1");
+  assert.strictEqual(second.tokens.access_token, "access-1");
+});
+
+test("a caller joining a refresh that doesn't cover its lead time refreshes again", async () => {
+  storeExpiredAccount("lead");
+  tokenRefreshes = 0;
+  // The first refresh yields a token that expires within the second caller's lead time
+  tokenLifetimes.push(FIVE_MINUTES / 1000, 3600);
+
+  const [first, second] = await Promise.all([
+    accountPool.ensureAccountTokens("lead"),
+    accountPool.ensureAccountTokens("lead", THIRTY_MINUTES),
+  ]);
+
+  assert.strictEqual(tokenRefreshes, 2);
+  assert.strictEqual(first.tokens.access_token, "access-1");
+  assert.strictEqual(second.tokens.access_token, "access-2");
+  assert.ok(second.tokens.expires_at - Date.now() > THIRTY_MINUTES);
+});
@@ -0,0 +1,116 @@
+/**
+ * Device-code login against a local stub of the Microsoft and Xbox Live auth endpoints
+ */
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStubServer } = require("./helpers/stubServer");
+
+// The token store lives in the working directory, keep it out of the repository
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "msixvc-device-login-")));
+process.env.TOKEN_ENCRYPTION_KEY = "device-login-test-key";
+
+// Token endpoint replies per device code, consumed in order; the last one repeats
+const tokenReplies = {
+  "device-ok": [
+    { status: 400, body: { error: "authorization_pending" } },
+    { status: 200, body: { access_token: "access-ok", refresh_token: "refresh-ok", expires_in: 3600, token_type: "bearer", user_id: "user-ok" } },
+  ],
+  "device-denied": [
+    { status: 400, body: { error: "access_denied" } },
+  ],
+};
+const tokenPolls = {};
+let nextDeviceCode = null;
+
+let stub;
+let deviceLoginService;
+let tokenService;
+
+before(async () => {
+  stub = await startStubServer({
+    "POST /oauth20_connect.srf": (req) => {
+      assert.match(req.body, /response_type=device_code/);
+      return {
+        status: 200,
+        body: { device_code: nextDeviceCode, user_code: "ABCD-1234", verification_uri: "https://www.microsoft.com/link", expires_in: 900, interval: 1 },
+      };
+    },
+    "POST /oauth20_token.srf": (req) => {
+      const deviceCode = new URLSearchParams(req.body).get("device_code");
+      const replies = tokenReplies[deviceCode];
+      tokenPolls[deviceCode] = (tokenPolls[deviceCode] || 0) + 1;
+      return replies[Math.min(tokenPolls[deviceCode], replies.length) - 1];
+    },
+    "POST /user/authenticate": () => ({
+      status: 200,
+      body: { Token: "user-token", NotAfter: new Date(Date.now() + 3600000).toISOString(), DisplayClaims: { xui: [{ uhs: "1234" }] } },
+    }),
+    "POST /xsts/authorize": () => ({
+      status: 200,
+      body: { Token: "xsts-token", NotAfter: new Date(Date.now() + 3600000).toISOString(), DisplayClaims: { xui: [{ uhs: "1234" }] } },
+    }),
+  });
+
+  process.env.MICROSOFT_DEVICE_CODE_URL = `${stub.url}/oauth20_connect.srf`;
+  process.env.MICROSOFT_TOKEN_URL = `${stub.url}/oauth20_token.srf`;
+  process.env.XASU_URL = `${stub.url}/user/authenticate`;
+  process.env.XSTS_URL = `${stub.url}/xsts/authorize`;
+
+  deviceLoginService = require("../auth/deviceLoginService");
+  tokenService = require("../auth/tokenService");
+});
+
+after(() => stub.close());
+
+/**
+ * Poll a device login until it leaves the pending states
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Final session status
+ */
+async function waitForSession(sessionId) {
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const session = deviceLoginService.getDeviceLoginStatus(sessionId);
+    if (!["pending", "authenticating"].includes(session.status)) return session;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error("Device login did not finish in time");
+}
+
+test("polls until the user signs in, then saves Xbox Live tokens to the account slot", async () => {
+  nextDeviceCode = "device-ok";
+  const started = await deviceLoginService.startDeviceLogin("headless");
+  assert.strictEqual(started.status, "pending");
+  assert.strictEqual(started.userCode, "ABCD-1234");
+  assert.strictEqual(started.verificationUri, "https://www.microsoft.com/link");
+  assert.strictEqual(started.deviceCode, undefined);
+
+  const session = await waitForSession(started.sessionId);
+  assert.strictEqual(session.status, "completed");
+  assert.strictEqual(session.error, null);
+  assert.strictEqual(tokenPolls["device-ok"], 2);
+
+  const tokens = tokenService.loadTokens("headless");
+  assert.strictEqual(tokens.refresh_token, "refresh-ok");
+  assert.strictEqual(tokens.xsts.Token, "xsts-token");
+
+  // Stored encrypted, the refresh token never hits the disk in plaintext
+  assert.doesNotMatch(fs.readFileSync("token.json", "utf8"), /refresh-ok/);
+});
+
+test("reports a declined login as failed without saving tokens", async () => {
+  nextDeviceCode = "device-denied";
+  const started = await deviceLoginService.startDeviceLogin("declined");
+
+  const session = await waitForSession(started.sessionId);
+  assert.strictEqual(session.status, "failed");
+  assert.match(session.error, /access_denied/);
+  assert.strictEqual(tokenService.loadTokens("declined"), null);
+});
+
+test("returns null for unknown sessions", () => {
+  assert.strictEqual(deviceLoginService.getDeviceLoginStatus("unknown"), null);
+});
@@ -0,0 +1,50 @@
+/**
+ * Minimal HTTP stub server for faking Microsoft and Xbox Live endpoints in tests
+ */
+const http = require("http");
+
+/**
+ * Start a stub server on a random local port
+ * @param {Object<string, Function>} routes - Handlers keyed by "METHOD /path", called with { method, path, query, headers, body }
+ * and returning { status, body, headers }; objects are sent as JSON
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Base URL, every request received, and close()
+ */
+function startStubServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body };
+      requests.push(request);
+
+      const handler = routes[`${req.method} ${url.pathname}`];
+      if (!handler) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "No stub for this route" }));
+        return;
+      }
+
+      const reply = await handler(request);
+      const isJson = typeof reply.body !== "string";
+      res.writeHead(reply.status || 200, { "Content-Type": isJson ? "application/json" : "text/plain", ...reply.headers });
+      res.end(isJson ? JSON.stringify(reply.body) : reply.body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  startStubServer,
+};
@@ -0,0 +1,101 @@
+/**
+ * Display Catalog search parsing and metadata shaping against fixtures shaped like its autosuggest and products responses
+ */
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const packageService = require("../services/packageService");
+
+const autosuggest = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "autosuggest-minecraft.json"), "utf8"));
+const products = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "products-minecraft.json"), "utf8"));
+
+const realFetch = global.fetch;
+let requestedUrls;
+
+/**
+ * Replace fetch with one that answers every request with the given status and body
+ * @param {number} status - HTTP status to answer with
+ * @param {Object} body - JSON body to answer with
+ */
+function stubFetch(status, body) {
+  global.fetch = async (url) => {
+    requestedUrls.push(new URL(url));
+    return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+  };
+}
+
+beforeEach(() => {
+  requestedUrls = [];
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+test("searchProducts asks autosuggest for the query, market and families", async () => {
+  stubFetch(200, autosuggest);
+  await packageService.searchProducts("minecraft & friends", "DE", "de-DE,neutral", "Games");
+
+  assert.strictEqual(requestedUrls.length, 1);
+  const url = requestedUrls[0];
+  assert.strictEqual(url.pathname, "/v7.0/productFamilies/autosuggest");
+  assert.strictEqual(url.searchParams.get("query"), "minecraft & friends");
+  assert.strictEqual(url.searchParams.get("market"), "DE");
+  assert.strictEqual(url.searchParams.get("languages"), "de-DE,neutral");
+  assert.strictEqual(url.searchParams.get("productFamilyNames"), "Games");
+});
+
+test("searchProducts flattens families in catalog order, skipping duplicates and non-product links", async () => {
+  stubFetch(200, autosuggest);
+  const matches = await packageService.searchProducts("minecraft");
+
+  assert.deepStrictEqual(matches, [
+    { productId: "9NBLGGH2JHXJ", productFamily: "Games", title: "Minecraft for Windows", type: "Game" },
+    { productId: "9MVXMVT8ZKWC", productFamily: "Games", title: "Minecraft Dungeons", type: "Game" },
+    { productId: "9PGW18NPBZV5", productFamily: "Apps", title: "Minecraft Launcher", type: "Application" },
+  ]);
+});
+
+test("searchProducts returns no matches for an empty result set", async () => {
+  stubFetch(200, { Results: [], TotalResultCount: 0 });
+  assert.deepStrictEqual(await packageService.searchProducts("nothing"), []);
+});
+
+test("searchProducts fails on a Display Catalog error", async () => {
+  stubFetch(503, { error: "unavailable" });
+  await assert.rejects(packageService.searchProducts("minecraft"), /Failed to search Display Catalog \(503\)/);
+});
+
+test("extractMetadataFromProducts shapes the product for the requested locale", () => {
+  const metadata = packageService.extractMetadataFromProducts(products, { market: "US", language: "en-US" });
+
+  assert.strictEqual(metadata.market, "US");
+  assert.strictEqual(metadata.language, "en-us");
+  assert.strictEqual(metadata.title, "Minecraft for Windows");
+  assert.strictEqual(metadata.publisher, "Xbox Game Studios");
+  assert.strictEqual(metadata.developer, "Mojang Studios");
+  assert.strictEqual(metadata.category, "Family & kids");
+  assert.strictEqual(metadata.packageFamilyName, "Microsoft.MinecraftUWP_8wekyb3d8bbwe");
+  assert.strictEqual(metadata.minimumAge, 10);
+  assert.deepStrictEqual(metadata.ratings[1], { timeSpan: "AllTime", averageRating: 4.5, ratingCount: 2410000, playCount: 0 });
+  assert.deepStrictEqual(metadata.searchHints, ["minecraft bedrock"]);
+  assert.deepStrictEqual(metadata.markets, ["US", "GB"]);
+});
+
+test("extractMetadataFromProducts picks the matching localized and market properties", () => {
+  const metadata = packageService.extractMetadataFromProducts(products, { market: "DE", language: "de-DE" });
+
+  assert.strictEqual(metadata.language, "de-de");
+  assert.strictEqual(metadata.title, "Minecraft für Windows");
+  assert.strictEqual(metadata.minimumAge, 6);
+  assert.deepStrictEqual(metadata.ratings, []);
+});
+
+test("extractMetadataFromProducts falls back to the first entries and returns null without products", () => {
+  const metadata = packageService.extractMetadataFromProducts(products, { market: "JP", language: "ja-JP" });
+  assert.strictEqual(metadata.title, "Minecraft for Windows");
+  assert.strictEqual(metadata.minimumAge, 10);
+
+  assert.strictEqual(packageService.extractMetadataFromProducts({ Products: [] }), null);
+});
@@ -0,0 +1,24 @@
+/**
+ * Token store without an encryption key configured
+ */
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The token store lives in the working directory, keep it out of the repository
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "msixvc-token-store-")));
+delete process.env.TOKEN_ENCRYPTION_KEY;
+
+const tokenService = require("../auth/tokenService");
+
+test("refuses to start without TOKEN_ENCRYPTION_KEY", () => {
+  assert.throws(() => tokenService.initTokenStore(), /TOKEN_ENCRYPTION_KEY is not set/);
+});
+
+test("never writes tokens as plaintext without TOKEN_ENCRYPTION_KEY", () => {
+  assert.throws(() => tokenService.saveTokens({ access_token: "access", refresh_token: "refresh" }, "plain"),
+    /refusing to store tokens as plaintext/);
+  assert.strictEqual(fs.existsSync("token.json"), false);
+});